@@ -2,6 +2,11 @@
 
 let resumes = [];
 let jds = [];
+let allResults = [];
+let runId = null;
+let blindRun = false;
+let revealedAll = false;
+const revealed = new Set();
 
 const resumeInput = document.getElementById('resumeInput');
 const jdInput = document.getElementById('jdInput');
@@ -9,48 +14,373 @@ const resumeBrowseBtn = document.getElementById('resumeBrowseBtn');
 const jdBrowseBtn = document.getElementById('jdBrowseBtn');
 const resumeFileList = document.getElementById('resumeFileList');
 const jdFileList = document.getElementById('jdFileList');
+const resumeDropZone = document.getElementById('resumeDropZone');
+const jdDropZone = document.getElementById('jdDropZone');
+const resumeRejects = document.getElementById('resumeRejects');
+const jdRejects = document.getElementById('jdRejects');
 const processBtn = document.getElementById('processBtn');
 const clearBtn = document.getElementById('clearBtn');
 const resultsSection = document.getElementById('resultsSection');
 const resultsTableBody = document.getElementById('resultsTableBody');
 const processingStatus = document.getElementById('processingStatus');
 const statusText = document.getElementById('statusText');
+const progressFill = document.getElementById('progressFill');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportExcelBtn = document.getElementById('exportExcelBtn');
+const historyTableBody = document.getElementById('historyTableBody');
+const compareRunsBtn = document.getElementById('compareRunsBtn');
+const refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
+const compareView = document.getElementById('compareView');
+const compareTableBody = document.getElementById('compareTableBody');
+const compareHeadA = document.getElementById('compareHeadA');
+const compareHeadB = document.getElementById('compareHeadB');
+const savedJdSelect = document.getElementById('savedJdSelect');
+const jdTitleInput = document.getElementById('jdTitleInput');
+const jdTagsInput = document.getElementById('jdTagsInput');
+const jdTextInput = document.getElementById('jdTextInput');
+const addJdTextBtn = document.getElementById('addJdTextBtn');
+const saveJdBtn = document.getElementById('saveJdBtn');
+const deleteJdBtn = document.getElementById('deleteJdBtn');
+const scoreBlendInput = document.getElementById('scoreBlendInput');
+const scoreBlendValue = document.getElementById('scoreBlendValue');
+const tableViewBtn = document.getElementById('tableViewBtn');
+const matrixViewBtn = document.getElementById('matrixViewBtn');
+const resultsTableContainer = document.getElementById('resultsTable').parentElement;
+const matrixView = document.getElementById('matrixView');
+const matrixHead = document.getElementById('matrixHead');
+const matrixBody = document.getElementById('matrixBody');
+const rubricSelect = document.getElementById('rubricSelect');
+const rubricDescription = document.getElementById('rubricDescription');
+const blindInput = document.getElementById('blindInput');
+const fairnessInput = document.getElementById('fairnessInput');
+const revealAllBtn = document.getElementById('revealAllBtn');
+const fairnessBtn = document.getElementById('fairnessBtn');
+const fairnessView = document.getElementById('fairnessView');
+const searchInput = document.getElementById('searchInput');
+const jdFilter = document.getElementById('jdFilter');
+const seniorityFilter = document.getElementById('seniorityFilter');
+const statusFilter = document.getElementById('statusFilter');
+const minScoreFilter = document.getElementById('minScoreFilter');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
+const pagerInfo = document.getElementById('pagerInfo');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const resultsTableHead = document.querySelector('#resultsTable thead');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
+const poolSection = document.getElementById('poolSection');
+const poolSearchInput = document.getElementById('poolSearchInput');
+const poolInfo = document.getElementById('poolInfo');
+const poolTableBody = document.getElementById('poolTableBody');
+const poolTopKInput = document.getElementById('poolTopKInput');
+const poolMatchBtn = document.getElementById('poolMatchBtn');
 
 /* ====================================================== 
 FILE INPUT HANDLING 
 ====================================================== */
 
-resumeBrowseBtn.addEventListener('click', () => resumeInput.click());
-jdBrowseBtn.addEventListener('click', () => jdInput.click());
+// The server's multer limits; replaced by /api/config once it answers
+let uploadLimits = {
+  max_file_mb: 10,
+  max_archive_mb: 50,
+  max_resumes: 100,
+  max_jds: 20,
+  extensions: ['.pdf', '.docx', '.doc', '.rtf', '.txt', '.md', '.html', '.htm'],
+  archive_extensions: ['.zip']
+};
 
-resumeInput.addEventListener('change', e => {
-  resumes = Array.from(e.target.files);
+const fileKey = file => `${file.name}|${file.size}`;
+const fileExtension = name => (name.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+
+// Splits a selection into files to add and files to report, in order.
+// ZIP archives (resumes only) are expanded and checked entry by entry on the server.
+function validateFiles(incoming, current, maxCount, { archives = false } = {}) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set(current.filter(f => f instanceof File).map(fileKey));
+
+  for (const file of incoming) {
+    const isArchive = archives && uploadLimits.archive_extensions.includes(fileExtension(file.name));
+    const maxMb = isArchive ? uploadLimits.max_archive_mb : uploadLimits.max_file_mb;
+
+    let reason = null;
+    if (!isArchive && !uploadLimits.extensions.includes(fileExtension(file.name))) {
+      reason = 'unsupported file type';
+    } else if (file.size === 0) {
+      reason = 'empty file';
+    } else if (file.size > maxMb * 1024 * 1024) {
+      reason = `larger than ${maxMb} MB`;
+    } else if (seen.has(fileKey(file))) {
+      reason = 'already added';
+    } else if (current.length + accepted.length >= maxCount) {
+      reason = `limit of ${maxCount} files reached`;
+    }
+
+    if (reason) {
+      rejected.push({ name: file.name, reason });
+    } else {
+      accepted.push(file);
+      seen.add(fileKey(file));
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+function showRejected(container, rejected) {
+  container.innerHTML = rejected.length
+    ? `<strong>${rejected.length} file${rejected.length === 1 ? '' : 's'} not added:</strong>
+       <ul>${rejected.map(r => `<li>${escapeHtml(r.name)} — ${escapeHtml(r.reason)}</li>`).join('')}</ul>`
+    : '';
+}
+
+function addResumes(files) {
+  const { accepted, rejected } = validateFiles(files, resumes, uploadLimits.max_resumes, { archives: true });
+  resumes = [...resumes, ...accepted];
+  showRejected(resumeRejects, rejected);
   renderFileList(resumeFileList, resumes);
   updateProcessButton();
+}
+
+// Pasted JDs count towards the limit too
+function addJds(files) {
+  const { accepted, rejected } = validateFiles(files, jds, uploadLimits.max_jds);
+  jds = [...jds, ...accepted];
+  showRejected(jdRejects, rejected);
+  renderFileList(jdFileList, jds);
+  updateProcessButton();
+}
+
+function wireUploadZone(zone, input, browseBtn, addFiles) {
+  zone.addEventListener('click', () => input.click());
+  browseBtn.addEventListener('click', () => input.click());
+
+  input.addEventListener('change', () => {
+    addFiles(Array.from(input.files));
+    // Lets the same file be picked again after it was removed
+    input.value = '';
+  });
+
+  ['dragenter', 'dragover'].forEach(type => zone.addEventListener(type, e => {
+    e.preventDefault();
+    zone.classList.add('drag-over');
+  }));
+
+  zone.addEventListener('dragleave', e => {
+    if (!zone.contains(e.relatedTarget)) zone.classList.remove('drag-over');
+  });
+
+  zone.addEventListener('drop', e => {
+    e.preventDefault();
+    zone.classList.remove('drag-over');
+    addFiles(Array.from(e.dataTransfer.files));
+  });
+}
+
+wireUploadZone(resumeDropZone, resumeInput, resumeBrowseBtn, addResumes);
+wireUploadZone(jdDropZone, jdInput, jdBrowseBtn, addJds);
+
+// A file dropped just outside a zone would otherwise replace the page
+['dragover', 'drop'].forEach(type => window.addEventListener(type, e => e.preventDefault()));
+
+function removeFile(list, container, index) {
+  list.splice(index, 1);
+  renderFileList(container, list);
+  updateProcessButton();
+}
+
+resumeFileList.addEventListener('click', e => {
+  const btn = e.target.closest('.file-remove');
+  if (btn) removeFile(resumes, resumeFileList, Number(btn.dataset.index));
+});
+
+jdFileList.addEventListener('click', e => {
+  const btn = e.target.closest('.file-remove');
+  if (btn) removeFile(jds, jdFileList, Number(btn.dataset.index));
+});
+
+/* ====================================================== 
+SCORING OPTIONS (KEYWORD / LLM BLEND)
+====================================================== */
+
+function updateBlendLabel() {
+  scoreBlendValue.textContent = `${scoreBlendInput.value}%`;
+}
+
+scoreBlendInput.addEventListener('input', updateBlendLabel);
+
+// Start from the server default (SCORE_BLEND)
+fetch('/api/config')
+  .then(res => res.json())
+  .then(config => {
+    scoreBlendInput.value = Math.round(config.score_blend * 100);
+    updateBlendLabel();
+    if (config.uploads) uploadLimits = config.uploads;
+    if (config.pool) poolTopKInput.value = config.pool.top_k;
+    else poolSection.style.display = 'none';
+  })
+  .catch(err => console.error('❌ Config error:', err.message));
+
+let rubrics = [];
+
+function describeRubric(rubric) {
+  const weights = rubric.criteria.map(c => `${c.label} ${c.weight}%`).join(' · ');
+  const mustHaves = rubric.must_haves.length ? ` — must-have: ${rubric.must_haves.join('; ')}` : '';
+  return `${weights}${mustHaves}`;
+}
+
+function updateRubricDescription() {
+  const rubric = rubrics.find(r => r.id === rubricSelect.value);
+  rubricDescription.textContent = rubric ? describeRubric(rubric) : '';
+}
+
+async function loadRubrics() {
+  const res = await fetch('/api/rubrics');
+  if (!res.ok) throw new Error(`Rubric list error: ${res.status}`);
+
+  const selected = rubricSelect.value;
+  rubrics = (await res.json()).rubrics;
+  rubricSelect.innerHTML = rubrics
+    .map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}${r.builtin ? '' : ' (custom)'}</option>`)
+    .join('');
+  if (rubrics.some(r => r.id === selected)) rubricSelect.value = selected;
+  updateRubricDescription();
+}
+
+rubricSelect.addEventListener('change', updateRubricDescription);
+loadRubrics().catch(err => console.error('❌ Rubric error:', err.message));
+
+// The fairness report needs a blind run to compare against
+blindInput.addEventListener('change', () => {
+  fairnessInput.disabled = !blindInput.checked;
+  if (!blindInput.checked) fairnessInput.checked = false;
 });
 
-jdInput.addEventListener('change', e => {
-  jds = Array.from(e.target.files);
+/* ====================================================== 
+JD EDITOR (PASTED + SAVED JOB DESCRIPTIONS)
+====================================================== */
+
+let savedJds = [];
+
+async function loadSavedJds(selectId = '') {
+  const res = await fetch('/api/jds');
+  if (!res.ok) throw new Error(await res.text());
+
+  savedJds = (await res.json()).jds;
+  savedJdSelect.innerHTML = '<option value="">New job description</option>';
+
+  savedJds.forEach(jd => {
+    const option = document.createElement('option');
+    option.value = jd.id;
+    option.textContent = jd.tags.length ? `${jd.title} [${jd.tags.join(', ')}]` : jd.title;
+    savedJdSelect.appendChild(option);
+  });
+
+  savedJdSelect.value = selectId;
+  deleteJdBtn.disabled = !selectId;
+}
+
+function readJdEditor() {
+  return {
+    title: jdTitleInput.value.trim(),
+    tags: jdTagsInput.value,
+    text: jdTextInput.value.trim()
+  };
+}
+
+savedJdSelect.addEventListener('change', () => {
+  const jd = savedJds.find(j => j.id === savedJdSelect.value);
+
+  jdTitleInput.value = jd ? jd.title : '';
+  jdTagsInput.value = jd ? jd.tags.join(', ') : '';
+  jdTextInput.value = jd ? jd.text : '';
+  deleteJdBtn.disabled = !jd;
+});
+
+addJdTextBtn.addEventListener('click', () => {
+  const { title, text } = readJdEditor();
+  if (!text) {
+    jdTextInput.focus();
+    return;
+  }
+
+  if (jds.length >= uploadLimits.max_jds) {
+    showRejected(jdRejects, [{ name: title || 'Pasted job description', reason: `limit of ${uploadLimits.max_jds} job descriptions reached` }]);
+    return;
+  }
+
+  // Pasted JDs travel as jd_text instead of a file
+  jds.push({ name: title || 'Pasted job description', text });
+  showRejected(jdRejects, []);
   renderFileList(jdFileList, jds);
   updateProcessButton();
 });
 
+saveJdBtn.addEventListener('click', async () => {
+  const jd = readJdEditor();
+  if (!jd.title || !jd.text) {
+    (jd.title ? jdTextInput : jdTitleInput).focus();
+    return;
+  }
+
+  try {
+    const id = savedJdSelect.value;
+    const res = await fetch(id ? `/api/jds/${id}` : '/api/jds', {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(jd)
+    });
+    if (!res.ok) throw new Error(await res.text());
+
+    await loadSavedJds((await res.json()).id);
+  } catch (err) {
+    console.error('❌ JD save error:', err.message);
+  }
+});
+
+deleteJdBtn.addEventListener('click', async () => {
+  const id = savedJdSelect.value;
+  if (!id || !confirm('Delete this saved job description?')) return;
+
+  try {
+    const res = await fetch(`/api/jds/${id}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error(await res.text());
+
+    jdTitleInput.value = '';
+    jdTagsInput.value = '';
+    jdTextInput.value = '';
+    await loadSavedJds();
+  } catch (err) {
+    console.error('❌ JD delete error:', err.message);
+  }
+});
+
+loadSavedJds().catch(err => console.error('❌ Saved JD error:', err.message));
+
 /* ====================================================== 
 UI HELPERS 
 ====================================================== */
 
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function renderFileList(container, files) {
-  container.innerHTML = '';
-  files.forEach(file => {
-    const div = document.createElement('div');
-    div.className = 'file-item';
-    div.textContent = file.name;
-    container.appendChild(div);
-  });
+  container.innerHTML = files.map((file, index) => `
+    <div class="file-item">
+      <div class="file-details">
+        <div class="file-name">${escapeHtml(file.name)}</div>
+        <div class="file-size">${file instanceof File ? formatFileSize(file.size) : 'Pasted text'}</div>
+      </div>
+      <button class="file-remove" data-index="${index}" title="Remove" aria-label="Remove ${escapeHtml(file.name)}">✕</button>
+    </div>
+  `).join('');
 }
 
 function updateProcessButton() {
   processBtn.disabled = !(resumes.length && jds.length);
+  poolMatchBtn.disabled = !jds.length;
   processBtn.textContent = processBtn.disabled ? 'Upload Files to Start' : 'Start Matching';
   clearBtn.style.display = resumes.length || jds.length ? 'inline-block' : 'none';
 }
@@ -59,63 +389,225 @@ function updateProcessButton() {
 BATCH PROCESSING
 ====================================================== */
 
-processBtn.addEventListener('click', async () => {
+// Clears the previous results before a new job starts
+function resetForJob() {
   resultsTableBody.innerHTML = '';
   resultsSection.style.display = 'none';
   processingStatus.style.display = 'block';
+  allResults = [];
+  resetTableView();
+  runId = null;
+  blindRun = blindInput.checked;
+  resetReveals();
+  fairnessView.style.display = 'none';
+  setProgress(0);
+}
+
+processBtn.addEventListener('click', async () => {
+  resetForJob();
 
   try {
-    // Process each JD with all resumes
-    for (const jd of jds) {
-      statusText.textContent = `Processing "${jd.name}" with ${resumes.length} resumes...`;
-      await processBatch(resumes, jd);
-    }
+    // All resumes against all JDs in one background job: each file is parsed once
+    statusText.textContent = `Uploading ${resumes.length} resumes and ${jds.length} job descriptions...`;
+    const job = await startJob(resumes, jds);
+    await watchJob(job.id);
+  } catch (err) {
+    console.error('❌ Job error:', err.message);
+    statusText.textContent = `❌ Error during processing: ${err.message}`;
+  }
+});
 
-    processingStatus.style.display = 'none';
+// Shows a job's progress until it finishes; also used to pick a job up again after a reload
+async function watchJob(jobId) {
+  processBtn.disabled = true;
+  cancelJobBtn.style.display = 'inline-block';
+  cancelJobBtn.disabled = false;
+
+  try {
+    const job = await followJob(jobId, job => {
+      const c = job.counts;
+      if (c.total) setProgress(c.completed / c.total);
+      if (c.completed) resultsSection.style.display = 'block';
+    });
+
+    setProgress(1);
     resultsSection.style.display = 'block';
+
+    if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+    if (job.status === 'cancelled') {
+      statusText.textContent = `⚠️ Cancelled after ${job.counts.completed}/${job.counts.total} matches`;
+    } else {
+      processingStatus.style.display = 'none';
+    }
+  } finally {
+    cancelJobBtn.style.display = 'none';
+    updateProcessButton();
+    loadHistory().catch(err => console.error('❌ History error:', err.message));
+    loadPool().catch(err => console.error('❌ Pool error:', err.message));
+  }
+}
+
+cancelJobBtn.addEventListener('click', async () => {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+
+  cancelJobBtn.disabled = true;
+  statusText.textContent = 'Cancelling... (matches already scored are kept)';
+
+  try {
+    const res = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+    if (!res.ok && res.status !== 409) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
   } catch (err) {
-    console.error('❌ Batch processing error:', err.message);
-    statusText.textContent = '❌ Error during processing';
+    console.error('❌ Job cancel error:', err.message);
+    cancelJobBtn.disabled = false;
   }
 });
 
 /* ====================================================== 
-BATCH API CALL (RANKS ALL CVs TOGETHER)
+PROGRESS DISPLAY
+====================================================== */
+
+function setProgress(fraction) {
+  progressFill.style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+}
+
+function describeProgress(job, latest) {
+  const c = job.counts;
+  const tally = ` (${c.completed}/${c.total} done${c.failed ? `, ${c.failed} failed` : ''})`;
+
+  if (job.status === 'queued') return `Waiting for an earlier batch to finish${tally}`;
+  if (!latest) return `Matching ${job.jd_names.length > 1 ? `against ${job.jd_names.length} job descriptions` : `against "${job.jd_names[0]}"`}${tally}`;
+
+  // Blind runs name nobody, not even by file name, while they score
+  const resume = blindRun ? `resume ${c.completed}` : latest.resume_name;
+
+  return latest.error
+    ? `"${latest.jd_name}": ❌ ${resume} failed${tally}`
+    : `"${latest.jd_name}": scored ${resume} — ${latest.match_score}%${tally}`;
+}
+
+/* ====================================================== 
+BATCH JOBS (RUN ON THE SERVER, SURVIVE RELOADS)
 ====================================================== */
 
-async function processBatch(resumeFiles, jdFile) {
+// The job being watched; a reload picks it up again
+const ACTIVE_JOB_KEY = 'resumeMatcher.activeJob';
+const JOB_POLL_MS = 1500;
+const JOB_FINISHED = ['completed', 'cancelled', 'failed'];
+
+function appendScoringOptions(formData) {
+  formData.append('score_blend', scoreBlendInput.value / 100);
+  if (rubricSelect.value) formData.append('rubric_id', rubricSelect.value);
+  if (blindInput.checked) formData.append('blind', 'true');
+  if (fairnessInput.checked) formData.append('fairness', 'true');
+}
+
+async function startJob(resumeFiles, jdList) {
   const formData = new FormData();
 
-  // Add all resumes
-  resumeFiles.forEach(file => {
-    formData.append('resumes', file);
+  resumeFiles.forEach(file => formData.append('resumes', file));
+
+  // Uploaded JD files and pasted text (jd_text/jd_title pairs)
+  jdList.forEach(jd => {
+    if (jd instanceof File) {
+      formData.append('jds', jd);
+    } else {
+      formData.append('jd_text', jd.text);
+      formData.append('jd_title', jd.name);
+    }
   });
 
-  // Add single JD
-  formData.append('jd', jdFile);
+  appendScoringOptions(formData);
 
-  const res = await fetch('/api/batch-match', {
-    method: 'POST',
-    body: formData
-  });
+  const res = await fetch('/api/jobs', { method: 'POST', body: formData });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  const job = await res.json();
+  localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+  runId = job.run_id;
 
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(err);
+  if (job.skipped_entries?.length) {
+    showRejected(resumeRejects, job.skipped_entries.map(s => ({ name: `${s.archive}/${s.path}`, reason: s.reason })));
   }
+  return job;
+}
 
-  const data = await res.json();
-  
-  // Add all results (already ranked by backend)
-  data.ranked_results.forEach(result => {
-    addResultRow(jdFile.name, result);
-  });
+// Polls until the job finishes. Rows appear as each resume finishes; the final list
+// (with best roles, duplicates and result ids for reviews) replaces them.
+async function followJob(jobId, onProgress = () => {}) {
+  let received = 0;
+
+  while (true) {
+    let job;
+    try {
+      const res = await fetch(`/api/jobs/${jobId}?after=${received}`);
+      if (res.status === 404) {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        throw new Error('Job not found');
+      }
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+      job = await res.json();
+    } catch (err) {
+      // The server restarting is no reason to give up: the job resumes with it
+      if (!(err instanceof TypeError)) throw err;
+      statusText.textContent = 'Server unreachable, retrying...';
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS * 2));
+      continue;
+    }
+
+    runId = job.run_id;
+    blindRun = job.blind;
+
+    if (job.results.length) {
+      received += job.results.length;
+      allResults.push(...job.results);
+      renderTable();
+      if (matrixView.style.display !== 'none') renderMatrix();
+    }
+    // "Cancelling..." stays up until the job has stopped
+    const cancelling = cancelJobBtn.disabled && !JOB_FINISHED.includes(job.status);
+    if (!cancelling) statusText.textContent = describeProgress(job, job.results.at(-1));
+    onProgress(job);
+
+    if (JOB_FINISHED.includes(job.status)) {
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      const res = await fetch(`/api/jobs/${jobId}`);
+      const final = res.ok ? await res.json() : { ...job, results: allResults };
+      renderResults(final.results);
+      return final;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// A job started before the page was reloaded keeps running on the server
+async function reattachJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+
+  allResults = [];
+  resetTableView();
+  resetReveals();
+  processingStatus.style.display = 'block';
+  statusText.textContent = 'Reconnecting to the running batch...';
+  setProgress(0);
+
+  try {
+    await watchJob(jobId);
+  } catch (err) {
+    console.error('❌ Job error:', err.message);
+    statusText.textContent = `❌ Error during processing: ${err.message}`;
+  }
 }
 
 /* ====================================================== 
 TABLE RENDERING (CORRECTED COLUMN ORDER)
 ====================================================== */
 
+// Matches OCR_LOW_CONFIDENCE in server.js
+const OCR_LOW_CONFIDENCE = 60;
+
 function addResultRow(jdName, data) {
   const tr = document.createElement('tr');
   
@@ -129,28 +621,824 @@ function addResultRow(jdName, data) {
   // 1. Candidate Name
   // 2. Resume File Name
   // 3. Job Description
-  // 4. Match Score
-  // 5. Seniority Fit
-  // 6. Email
-  // 7. Contact Number
-  // 8. LinkedIn Profile
-  // 9. Match Summary
+  // 4. Best Role
+  // 5. Match Score
+  // 6. Status (shortlist / hold / reject + notes)
+  // 7. Seniority Fit
+  // 8. Current Role (title @ employer)
+  // 9. Experience (years)
+  // 10. Highest Degree
+  // 11. Skills
+  // 12. Missing Skills
+  // 13. Location
+  // 14. Email (all addresses)
+  // 15. Contact Number (all numbers, E.164 when the country is known)
+  // 16. Links (LinkedIn, GitHub, portfolio)
+  // 17. Match Summary
+
+  // Show how the blended score was built when keyword scoring applied
+  const scoreParts = data.keyword_score === null || data.keyword_score === undefined
+    ? ''
+    : `<div class="score-parts">LLM ${data.llm_score} · Keywords ${data.keyword_score}</div>`;
+  const missingSkills = data.missing_skills?.length ? escapeHtml(data.missing_skills.join(', ')) : '—';
+  const band = data.score_band ? `<div class="score-parts">${escapeHtml(data.score_band)}</div>` : '';
+  const breakdown = data.criteria_scores?.length
+    ? `<div class="criteria-scores">${data.criteria_scores.map(c => `${escapeHtml(c.label)} ${c.score}`).join(' · ')}</div>`
+    : '';
+  const unmet = data.unmet_must_haves?.length
+    ? `<div class="unmet-must-haves">Must-have not met: ${escapeHtml(data.unmet_must_haves.join('; '))}</div>`
+    : '';
+
+  // Blind results stay anonymous until revealed
+  const hidden = isHidden(data);
+  const reveal = hidden && runId && data.candidate_id
+    ? `<button class="btn btn--outline btn--sm reveal-btn" data-candidate="${escapeHtml(data.candidate_id)}">Reveal</button>`
+    : '';
+  const contact = value => (hidden ? '<span class="hidden-value">Hidden</span>' : value);
+
+  // Same person submitted more than once: flag the group and let the user pick the counted version
+  const group = data.duplicate_group;
+  let duplicate = '';
+  if (group) {
+    const reasons = escapeHtml(group.reasons.join('; '));
+    duplicate = `<div><span class="duplicate-badge" title="${reasons}">${group.versions.length} versions</span></div>`;
+    if (data.counted === false) {
+      tr.classList.add('duplicate-row');
+      duplicate += `<div class="score-parts">Duplicate of ${hidden ? 'another upload' : escapeHtml(data.duplicate_of || '')}</div>`;
+      if (runId && !data.error) {
+        duplicate += `<button class="btn btn--outline btn--sm count-version-btn" data-candidate="${escapeHtml(data.candidate_id)}" data-hash="${escapeHtml(data.resume_hash)}" data-name="${escapeHtml(data.resume_name)}">Count this version</button>`;
+      }
+    }
+  }
+
+  // Scanned PDFs were read by OCR; low confidence means the text may be garbled
+  const ocr = data.ocr_used
+    ? `<div><span class="ocr-badge${data.ocr_confidence < OCR_LOW_CONFIDENCE ? ' ocr-badge--low' : ''}" title="Text read by OCR from page ${(data.ocr_pages || []).join(', ')}">OCR ${data.ocr_confidence}%</span></div>`
+    : '';
+
+  // Older saved runs only have the single email/phone fields
+  const emails = data.emails?.length ? data.emails : [data.email];
+  const phones = data.phones?.length ? data.phones : [data.phone];
+  const role = [data.current_title, data.current_employer].filter(Boolean).map(escapeHtml).join(' @ ') || '—';
+  const experience = typeof data.years_experience === 'number' ? `${data.years_experience} yrs` : '—';
+  const links = [
+    data.linkedin && data.linkedin !== '—' && ['LinkedIn', data.linkedin],
+    data.github && ['GitHub', data.github],
+    data.portfolio && ['Portfolio', data.portfolio]
+  ].filter(Boolean)
+    .map(([label, url]) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`)
+    .join('<br>') || '—';
 
   tr.innerHTML = `
-    <td><strong>${data.candidate_name}</strong></td>
-    <td>${data.resume_name}</td>
-    <td>${jdName}</td>
-    <td class="${scoreClass}"><strong>${data.match_score}%</strong></td>
-    <td>${data.seniority_fit}</td>
-    <td>${data.email}</td>
-    <td>${data.phone}</td>
-    <td><a href="${data.linkedin}" target="_blank" rel="noopener noreferrer">${data.linkedin === '—' ? '—' : 'View'}</a></td>
-    <td class="summary-cell">${data.summary}</td>
+    <td><strong>${escapeHtml(displayName(data))}</strong>${reveal}${duplicate}</td>
+    <td>${contact(escapeHtml(data.resume_name))}${ocr}</td>
+    <td>${escapeHtml(jdName)}</td>
+    <td>${escapeHtml(data.best_jd || '—')}</td>
+    <td class="${scoreClass}"><strong>${data.match_score}%</strong>${band}${scoreParts}</td>
+    <td>${reviewControls(data)}</td>
+    <td>${escapeHtml(data.seniority_fit)}</td>
+    <td>${role}</td>
+    <td>${experience}</td>
+    <td>${escapeHtml(data.highest_degree || '—')}</td>
+    <td>${data.skills?.length ? escapeHtml(data.skills.join(', ')) : '—'}</td>
+    <td>${missingSkills}</td>
+    <td>${contact(escapeHtml(data.location || '—'))}</td>
+    <td>${contact(emails.map(escapeHtml).join('<br>'))}</td>
+    <td>${contact(phones.map(escapeHtml).join('<br>'))}</td>
+    <td>${contact(links)}</td>
+    <td class="summary-cell">${escapeHtml(data.summary)}${breakdown}${unmet}${data.requirements?.length ? '<button class="btn btn--outline btn--sm details-btn">Show evidence</button>' : ''}</td>
   `;
 
   resultsTableBody.appendChild(tr);
+  if (data.requirements?.length) resultsTableBody.appendChild(buildDetailRow(data));
+  return tr;
+}
+
+const REQUIREMENT_ICONS = { met: '✅', partial: '🟡', missing: '❌' };
+
+// Hidden row under each result: every JD requirement checked, its verdict and the resume excerpt behind it
+function buildDetailRow(data) {
+  const tr = document.createElement('tr');
+  tr.className = 'detail-row';
+  tr.style.display = 'none';
+
+  const items = data.requirements.map(r => {
+    let evidence = '<div class="evidence-none">No evidence in the resume</div>';
+    if (r.evidence) {
+      const close = r.evidence_match === 'close' ? ' <span class="evidence-note">(closest resume line to the quoted text)</span>' : '';
+      evidence = `<blockquote class="evidence-quote">${escapeHtml(r.evidence)}</blockquote>${close}`;
+    } else if (r.unverified_quote) {
+      evidence = `<div class="evidence-unverified" title="${escapeHtml(r.unverified_quote)}">⚠️ Quoted evidence was not found in the resume and was discarded</div>`;
+    }
+
+    return `<li class="requirement requirement-${r.status}">
+      <div>${REQUIREMENT_ICONS[r.status] || ''} <strong>${escapeHtml(r.requirement)}</strong>${r.nice_to_have ? ' <span class="score-parts">nice to have</span>' : ''}</div>
+      ${evidence}
+    </li>`;
+  }).join('');
+
+  const gaps = [...(data.gaps || []), ...(data.missing_skills || []).map(skill => `Skill: ${skill}`)];
+
+  tr.innerHTML = `
+    <td colspan="17">
+      <div class="result-details">
+        <div>
+          <h4>Requirements checked</h4>
+          <ul class="requirement-list">${items}</ul>
+        </div>
+        <div>
+          <h4>Gaps</h4>
+          ${gaps.length ? `<ul class="gap-list">${gaps.map(g => `<li>${escapeHtml(g)}</li>`).join('')}</ul>` : '<p>None found</p>'}
+        </div>
+      </div>
+    </td>
+  `;
+  return tr;
+}
+
+// Replace the table with a finished result set, ranked within each JD
+function renderResults(results) {
+  // Extra versions of a duplicate sit directly under the version that counts
+  const groupScore = new Map();
+  results.forEach(r => {
+    if (r.candidate_id && r.counted !== false) groupScore.set(`${r.jd_name}|${r.candidate_id}`, r.match_score);
+  });
+  const rankScore = r => groupScore.get(`${r.jd_name}|${r.candidate_id}`) ?? r.match_score;
+
+  // This order is the table's default ("rank") sort
+  const jdOrder = [...new Set(results.map(r => r.jd_name))];
+  allResults = [...results]
+    .sort((a, b) => (jdOrder.indexOf(a.jd_name) - jdOrder.indexOf(b.jd_name))
+      || (rankScore(b) - rankScore(a))
+      || String(a.candidate_id ?? '').localeCompare(String(b.candidate_id ?? ''))
+      || ((a.counted === false) - (b.counted === false))
+      || (b.match_score - a.match_score));
+
+  renderTable();
+  renderMatrix();
+  updateBlindControls();
+}
+
+async function chooseVersion(candidateId, resumeHash, resumeName) {
+  const res = await fetch(`/api/runs/${runId}/candidates/${candidateId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ resume_hash: resumeHash, resume_name: resumeName })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  const { results } = await res.json();
+  renderResults(results);
+}
+
+resultsTableBody.addEventListener('click', (e) => {
+  const details = e.target.closest('.details-btn');
+  if (details) {
+    const row = details.closest('tr').nextElementSibling;
+    const open = row.style.display === 'none';
+    row.style.display = open ? 'table-row' : 'none';
+    details.textContent = open ? 'Hide evidence' : 'Show evidence';
+    return;
+  }
+
+  const btn = e.target.closest('.count-version-btn, .reveal-btn');
+  if (!btn) return;
+
+  btn.disabled = true;
+  const action = btn.classList.contains('reveal-btn')
+    ? revealCandidates(btn.dataset.candidate)
+    : chooseVersion(btn.dataset.candidate, btn.dataset.hash, btn.dataset.name);
+  action.catch(err => {
+    btn.disabled = false;
+    alert('Error: ' + err.message);
+  });
+});
+
+/* ====================================================== 
+TABLE CONTROLS (SORT, FILTER, SEARCH, PAGINATION, REVIEW)
+====================================================== */
+
+const tableState = { sort: 'rank', dir: 1, page: 1 };
+
+const SENIORITY_ORDER = ['Strong', 'Medium', 'Weak'];
+const REVIEW_ORDER = ['shortlisted', 'hold', undefined, 'rejected'];
+const REVIEW_LABELS = { shortlisted: 'Shortlist', hold: 'Hold', rejected: 'Reject' };
+
+// Score and experience sort highest first on the first click
+const SORTERS = {
+  candidate: (a, b) => String(displayName(a)).localeCompare(String(displayName(b))),
+  jd: (a, b) => jdPosition(a) - jdPosition(b),
+  score: (a, b) => b.match_score - a.match_score,
+  status: (a, b) => REVIEW_ORDER.indexOf(a.review?.status || undefined) - REVIEW_ORDER.indexOf(b.review?.status || undefined),
+  seniority: (a, b) => SENIORITY_ORDER.indexOf(a.seniority_fit) - SENIORITY_ORDER.indexOf(b.seniority_fit),
+  experience: (a, b) => (b.years_experience ?? -1) - (a.years_experience ?? -1)
+};
+
+const jdNamesInOrder = () => [...new Set(allResults.map(r => r.jd_name))];
+const jdPosition = r => jdNamesInOrder().indexOf(r.jd_name);
+
+// Hidden blind candidates are only searchable by their label
+function searchText(r) {
+  return [
+    displayName(r),
+    isHidden(r) ? '' : r.resume_name,
+    r.jd_name,
+    r.current_title,
+    r.current_employer,
+    r.highest_degree,
+    isHidden(r) ? '' : r.location,
+    ...(r.skills || []),
+    ...(r.matched_skills || []),
+    ...(r.missing_skills || []),
+    r.summary,
+    r.review?.notes
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+// Filtered and sorted across every page; exports send exactly this
+function visibleResults() {
+  const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const minScore = Number(minScoreFilter.value) || 0;
+
+  const rows = allResults
+    .map((r, index) => ({ r, index }))
+    .filter(({ r }) => !jdFilter.value || r.jd_name === jdFilter.value)
+    .filter(({ r }) => !seniorityFilter.value || r.seniority_fit === seniorityFilter.value)
+    .filter(({ r }) => !statusFilter.value || (r.review?.status || 'unreviewed') === statusFilter.value)
+    .filter(({ r }) => (r.match_score || 0) >= minScore)
+    .filter(({ r }) => !terms.length || terms.every(term => searchText(r).includes(term)));
+
+  // Scores only compare within a JD, so that sort keeps the JD groups together
+  const sorter = SORTERS[tableState.sort];
+  if (sorter) {
+    const group = tableState.sort === 'score' ? SORTERS.jd : () => 0;
+    rows.sort((a, b) => group(a.r, b.r) || (tableState.dir * sorter(a.r, b.r)) || (a.index - b.index));
+  }
+
+  return rows.map(({ r }) => r);
+}
+
+function updateJdFilterOptions() {
+  const selected = jdFilter.value;
+  const names = jdNamesInOrder();
+  jdFilter.innerHTML = `<option value="">All job descriptions</option>${names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}`;
+  jdFilter.value = names.includes(selected) ? selected : '';
+}
+
+function renderTable() {
+  updateJdFilterOptions();
+
+  const rows = visibleResults();
+  const pageSize = Number(pageSizeSelect.value) || 25;
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  tableState.page = Math.min(Math.max(1, tableState.page), pages);
+  const start = (tableState.page - 1) * pageSize;
+
+  resultsTableBody.innerHTML = '';
+  rows.slice(start, start + pageSize).forEach(r => addResultRow(r.jd_name, r));
+
+  pagerInfo.textContent = rows.length
+    ? `Showing ${start + 1}–${Math.min(start + pageSize, rows.length)} of ${rows.length}${rows.length < allResults.length ? ` (filtered from ${allResults.length})` : ''}`
+    : allResults.length ? 'No results match the filters' : '';
+  prevPageBtn.disabled = tableState.page <= 1;
+  nextPageBtn.disabled = tableState.page >= pages;
+
+  resultsTableHead.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === tableState.sort && tableState.dir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === tableState.sort && tableState.dir === -1);
+  });
+}
+
+function resetTableView() {
+  tableState.sort = 'rank';
+  tableState.dir = 1;
+  tableState.page = 1;
+}
+
+// Clicking a header sorts by it; clicking again reverses; a third click restores the ranking
+resultsTableHead.addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th) return;
+
+  if (tableState.sort !== th.dataset.sort) {
+    tableState.sort = th.dataset.sort;
+    tableState.dir = 1;
+  } else if (tableState.dir === 1) {
+    tableState.dir = -1;
+  } else {
+    tableState.sort = 'rank';
+    tableState.dir = 1;
+  }
+  renderTable();
+});
+
+[searchInput, jdFilter, seniorityFilter, statusFilter, minScoreFilter, pageSizeSelect].forEach(control => {
+  control.addEventListener(control === searchInput || control === minScoreFilter ? 'input' : 'change', () => {
+    tableState.page = 1;
+    renderTable();
+  });
+});
+
+prevPageBtn.addEventListener('click', () => {
+  tableState.page--;
+  renderTable();
+});
+
+nextPageBtn.addEventListener('click', () => {
+  tableState.page++;
+  renderTable();
+});
+
+// Saved with the run once it has finished; rows still streaming in have no id yet
+function reviewControls(r) {
+  const disabled = r.result_id ? '' : ' disabled';
+  const status = r.review?.status || '';
+
+  return `
+    <select class="form-control review-status review-${status || 'none'}" data-result="${r.result_id || ''}"${disabled}>
+      <option value="">Unreviewed</option>
+      ${Object.entries(REVIEW_LABELS).map(([value, label]) => `<option value="${value}"${value === status ? ' selected' : ''}>${label}</option>`).join('')}
+    </select>
+    <textarea class="form-control review-notes" data-result="${r.result_id || ''}" rows="2" placeholder="Notes"${disabled}>${escapeHtml(r.review?.notes || '')}</textarea>
+  `;
+}
+
+async function saveReview(resultId, changes) {
+  const res = await fetch(`/api/results/${resultId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...changes, run_id: runId || undefined })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  const { review } = await res.json();
+  allResults.filter(r => r.result_id === resultId).forEach(r => { r.review = review; });
+  return review;
+}
+
+resultsTableBody.addEventListener('change', (e) => {
+  const control = e.target.closest('.review-status, .review-notes');
+  if (!control?.dataset.result) return;
+
+  const changes = control.classList.contains('review-status')
+    ? { status: control.value || null }
+    : { notes: control.value };
+
+  saveReview(control.dataset.result, changes)
+    .then(() => {
+      // A status change can move the row out of the current filter or sort position
+      if (changes.status !== undefined) renderTable();
+    })
+    .catch(err => alert('Error: ' + err.message));
+});
+
+/* ====================================================== 
+BLIND SCREENING (ANONYMISED VIEW, REVEALS, FAIRNESS REPORT)
+====================================================== */
+
+const isHidden = r => Boolean(r.blind) && !revealedAll && !revealed.has(r.candidate_id);
+const displayName = r => (isHidden(r) ? r.anonymous_label || 'Candidate' : r.candidate_name);
+
+function resetReveals(reveals = []) {
+  revealed.clear();
+  revealedAll = reveals.some(reveal => !reveal.candidate_id);
+  reveals.forEach(reveal => reveal.candidate_id && revealed.add(reveal.candidate_id));
+}
+
+function updateBlindControls() {
+  revealAllBtn.style.display = runId && allResults.some(isHidden) ? 'inline-block' : 'none';
+  fairnessBtn.style.display = runId && allResults.some(r => typeof r.normal_score === 'number') ? 'inline-block' : 'none';
+}
+
+// Every reveal is logged on the run; no candidate id reveals the whole run
+async function revealCandidates(candidateId = null) {
+  const res = await fetch(`/api/runs/${runId}/reveals`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ candidate_id: candidateId })
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  resetReveals((await res.json()).reveals);
+  renderResults(allResults);
+}
+
+function fairnessTable(section) {
+  const stat = key => `<tr><td>${key[0].toUpperCase()}${key.slice(1)}</td><td>${section.normal[key]}</td><td>${section.blind[key]}</td></tr>`;
+  const bands = [...new Set([...Object.keys(section.normal.bands), ...Object.keys(section.blind.bands)])]
+    .map(band => `<tr><td>${escapeHtml(band)}</td><td>${section.normal.bands[band] || 0}</td><td>${section.blind.bands[band] || 0}</td></tr>`)
+    .join('');
+  const movers = section.largest_changes
+    .filter(c => c.delta !== 0)
+    .map(c => `${escapeHtml(c.candidate || 'Candidate')} ${c.normal}% → ${c.blind}%`)
+    .join(' · ') || 'No candidate changed score';
+
+  return `
+    <table class="results-table fairness-table">
+      <thead><tr><th></th><th>Normal</th><th>Blind</th></tr></thead>
+      <tbody>${['mean', 'median', 'stdev', 'min', 'max'].map(stat).join('')}${bands}</tbody>
+    </table>
+    <p class="scoring-hint">
+      ${section.candidates} candidates · mean change ${section.mean_delta > 0 ? '+' : ''}${section.mean_delta} (avg ${section.mean_abs_delta} points either way) ·
+      ${section.band_changes} changed band · rank correlation ${section.rank_correlation ?? '—'} ·
+      top ${section.top_k.k} overlap ${section.top_k.overlap}/${section.top_k.k}
+    </p>
+    <p class="scoring-hint">Largest changes: ${movers}</p>
+  `;
+}
+
+async function showFairnessReport() {
+  const res = await fetch(`/api/runs/${runId}/fairness`);
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+  const report = await res.json();
+
+  const perJd = report.by_jd.length > 1
+    ? report.by_jd.map(section => `<h4>${escapeHtml(section.jd_name)}</h4>${fairnessTable(section)}`).join('')
+    : '';
+  const reveals = report.reveals.length
+    ? `${report.reveals.length} reveal(s), first at ${new Date(report.reveals[0].at).toLocaleString()}`
+    : 'No candidate has been revealed';
+
+  fairnessView.innerHTML = `
+    <h3>Fairness Report: blind vs normal scoring</h3>
+    ${fairnessTable(report.overall)}
+    ${perJd}
+    <p class="scoring-hint">${reveals}</p>
+  `;
+  fairnessView.style.display = 'block';
+}
+
+revealAllBtn.addEventListener('click', () => {
+  if (!confirm('Reveal every candidate in this run? The reveal is logged.')) return;
+  revealCandidates().catch(err => alert('Error: ' + err.message));
+});
+
+fairnessBtn.addEventListener('click', () => {
+  showFairnessReport().catch(err => alert('Error: ' + err.message));
+});
+
+/* ====================================================== 
+MATRIX / HEATMAP VIEW
+====================================================== */
+
+// 0 = red, 100 = green
+const heatColour = score => `hsl(${Math.round(score * 1.2)}, 65%, 88%)`;
+
+function renderMatrix() {
+  const jdNames = [...new Set(allResults.map(r => r.jd_name))];
+  const candidates = new Map();
+
+  allResults.forEach(r => {
+    const id = r.resume_hash || r.resume_name;
+    if (!candidates.has(id)) candidates.set(id, { name: displayName(r), resume: isHidden(r) ? '' : r.resume_name, cells: {} });
+    const candidate = candidates.get(id);
+    if (!r.error) candidate.name = displayName(r);
+    candidate.cells[r.jd_name] = r;
+  });
+
+  matrixHead.innerHTML = `<tr>
+    <th>Candidate Name</th>
+    ${jdNames.map(jd => `<th>${escapeHtml(jd)}</th>`).join('')}
+    <th>Best Role</th>
+  </tr>`;
+
+  matrixBody.innerHTML = [...candidates.values()].map(candidate => {
+    const scored = Object.values(candidate.cells).filter(r => !r.error);
+    const best = scored.find(r => r.best_jd)?.best_jd
+      ?? [...scored].sort((a, b) => b.match_score - a.match_score)[0]?.jd_name;
+
+    const cells = jdNames.map(jd => {
+      const r = candidate.cells[jd];
+      if (!r) return '<td>—</td>';
+      if (r.error) return `<td class="matrix-cell" title="${escapeHtml(r.error)}">❌</td>`;
+      return `<td class="matrix-cell${jd === best ? ' matrix-best' : ''}" style="background-color: ${heatColour(r.match_score)}">${r.match_score}%</td>`;
+    }).join('');
+
+    return `<tr>
+      <td><strong>${escapeHtml(candidate.name)}</strong><div class="score-parts">${escapeHtml(candidate.resume)}</div></td>
+      ${cells}
+      <td>${best ? escapeHtml(best) : '—'}</td>
+    </tr>`;
+  }).join('');
+}
+
+function showResultsView(view) {
+  const matrix = view === 'matrix';
+  if (matrix) renderMatrix();
+  matrixView.style.display = matrix ? 'block' : 'none';
+  resultsTableContainer.style.display = matrix ? 'none' : 'block';
+  matrixViewBtn.classList.toggle('active', matrix);
+  tableViewBtn.classList.toggle('active', !matrix);
+}
+
+tableViewBtn.addEventListener('click', () => showResultsView('table'));
+matrixViewBtn.addEventListener('click', () => showResultsView('matrix'));
+
+/* ====================================================== 
+EXPORT (CSV / EXCEL)
+====================================================== */
+
+// Unrevealed blind candidates leave the browser without the details the table hides
+const HIDDEN_FIELDS = ['candidate_name', 'resume_name', 'duplicate_of', 'duplicate_group', 'email', 'phone', 'linkedin', 'emails', 'phones', 'location', 'github', 'portfolio'];
+const exportRow = r => (isHidden(r) ? { ...r, ...Object.fromEntries(HIDDEN_FIELDS.map(key => [key, null])) } : r);
+
+async function exportResults(format) {
+  const rows = visibleResults();
+  if (rows.length === 0) return;
+
+  const res = await fetch(`/api/export?format=${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ results: rows.map(exportRow), run_id: runId })
+  });
+
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  // Use the server's filename from Content-Disposition
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || `match-results.${format}`;
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Shown where processing errors go, so a failed download is not silent
+function showExportError(err) {
+  console.error('❌ Export error:', err.message);
+  processingStatus.style.display = 'block';
+  statusText.textContent = `❌ Error during export: ${err.message}`;
+}
+
+exportCsvBtn.addEventListener('click', () => {
+  exportResults('csv').catch(showExportError);
+});
+
+exportExcelBtn.addEventListener('click', () => {
+  exportResults('xlsx').catch(showExportError);
+});
+
+/* ====================================================== 
+SCREENING HISTORY (PERSISTED RUNS)
+====================================================== */
+
+const selectedRunIds = new Set();
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+async function loadHistory() {
+  const res = await fetch('/api/runs');
+  if (!res.ok) throw new Error(await res.text());
+
+  const { runs } = await res.json();
+  historyTableBody.innerHTML = '';
+
+  // Forget selections for runs that no longer exist
+  [...selectedRunIds].forEach(id => {
+    if (!runs.some(run => run.id === id)) selectedRunIds.delete(id);
+  });
+  updateCompareButton();
+
+  if (runs.length === 0) {
+    historyTableBody.innerHTML = '<tr><td colspan="7" class="history-empty">No saved screening runs yet</td></tr>';
+    return;
+  }
+
+  runs.forEach(run => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="checkbox" ${selectedRunIds.has(run.id) ? 'checked' : ''}></td>
+      <td>${new Date(run.created_at).toLocaleString()}</td>
+      <td>${run.jd_names.map(escapeHtml).join('<br>')}</td>
+      <td>${run.total_results}</td>
+      <td>${run.top_candidate ? `${escapeHtml(run.top_candidate)} (${run.top_score}%)` : '—'}</td>
+      <td>${escapeHtml(run.model || '—')}</td>
+      <td class="history-actions">
+        <button class="btn btn--secondary btn--sm" data-action="open">Open</button>
+        <button class="btn btn--outline btn--sm" data-action="delete">Delete</button>
+      </td>
+    `;
+
+    tr.querySelector('input').addEventListener('change', e => {
+      if (e.target.checked) selectedRunIds.add(run.id);
+      else selectedRunIds.delete(run.id);
+      updateCompareButton();
+    });
+    tr.querySelector('[data-action="open"]').addEventListener('click', () => {
+      openRun(run.id).catch(err => console.error('❌ Run open error:', err.message));
+    });
+    tr.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      removeRun(run.id).catch(err => console.error('❌ Run delete error:', err.message));
+    });
+
+    historyTableBody.appendChild(tr);
+  });
+}
+
+function updateCompareButton() {
+  compareRunsBtn.disabled = selectedRunIds.size !== 2;
+}
+
+async function fetchRun(id) {
+  const res = await fetch(`/api/runs/${id}`);
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
+async function openRun(id) {
+  const run = await fetchRun(id);
+
+  runId = run.id;
+  blindRun = run.results.some(r => r.blind);
+  resetTableView();
+  resetReveals(run.reveals);
+  fairnessView.style.display = 'none';
+  renderResults(run.results);
+
+  resultsSection.style.display = 'block';
+  resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function removeRun(id) {
+  if (!confirm('Delete this screening run? This cannot be undone.')) return;
+
+  const res = await fetch(`/api/runs/${id}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error(await res.text());
+
+  selectedRunIds.delete(id);
+  compareView.style.display = 'none';
+  await loadHistory();
+}
+
+async function compareRuns() {
+  const [runA, runB] = await Promise.all([...selectedRunIds].map(fetchRun));
+
+  // Same resume file (by content hash) against the same JD in both runs
+  const key = r => `${r.resume_hash || r.resume_name}|${r.jd_name}`;
+  const rows = new Map();
+
+  // Blind runs compare by label; reveals belong to the run that is open, not to this view
+  const name = r => (r.blind ? r.anonymous_label || 'Candidate' : r.candidate_name);
+  runA.results.forEach(r => rows.set(key(r), { name: name(r), jd: r.jd_name, a: r.match_score, b: null }));
+  runB.results.forEach(r => {
+    const row = rows.get(key(r)) || { name: name(r), jd: r.jd_name, a: null, b: null };
+    row.b = r.match_score;
+    rows.set(key(r), row);
+  });
+
+  compareHeadA.textContent = new Date(runA.created_at).toLocaleString();
+  compareHeadB.textContent = new Date(runB.created_at).toLocaleString();
+  compareTableBody.innerHTML = '';
+
+  [...rows.values()]
+    .sort((x, y) => Math.max(y.a ?? 0, y.b ?? 0) - Math.max(x.a ?? 0, x.b ?? 0))
+    .forEach(row => {
+      const delta = row.a !== null && row.b !== null ? row.b - row.a : null;
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td><strong>${escapeHtml(row.name)}</strong></td>
+        <td>${escapeHtml(row.jd)}</td>
+        <td>${row.a === null ? '—' : `${row.a}%`}</td>
+        <td>${row.b === null ? '—' : `${row.b}%`}</td>
+        <td class="${delta > 0 ? 'score-high' : delta < 0 ? 'score-low' : ''}">${delta === null ? '—' : `${delta > 0 ? '+' : ''}${delta}`}</td>
+      `;
+      compareTableBody.appendChild(tr);
+    });
+
+  compareView.style.display = 'block';
+}
+
+compareRunsBtn.addEventListener('click', () => {
+  compareRuns().catch(err => console.error('❌ Run compare error:', err.message));
+});
+
+refreshHistoryBtn.addEventListener('click', () => {
+  loadHistory().catch(err => console.error('❌ History error:', err.message));
+});
+
+loadHistory().catch(err => console.error('❌ History error:', err.message));
+reattachJob();
+
+/* ====================================================== 
+CANDIDATE POOL (SEARCH AND RE-MATCH PAST APPLICANTS)
+====================================================== */
+
+const POOL_SEARCH_DELAY_MS = 300;
+let poolSearchTimer = null;
+// Only the latest search may fill the table
+let poolSearchSeq = 0;
+
+async function loadPool() {
+  const seq = ++poolSearchSeq;
+  const query = poolSearchInput.value.trim();
+  const res = await fetch(`/api/candidates?${new URLSearchParams({ q: query, limit: 50 })}`);
+  if (!res.ok) throw new Error(await res.text());
+
+  const { total, candidates } = await res.json();
+  if (seq !== poolSearchSeq) return;
+
+  poolInfo.textContent = query
+    ? `${total} matching candidate${total === 1 ? '' : 's'}`
+    : `${total} candidate${total === 1 ? '' : 's'} in the pool`;
+  poolTableBody.innerHTML = '';
+
+  if (candidates.length === 0) {
+    poolTableBody.innerHTML = `<tr><td colspan="8" class="history-empty">${query ? 'No candidates match this search' : 'No resumes processed yet'}</td></tr>`;
+    return;
+  }
+
+  candidates.forEach(c => {
+    const role = [c.current_title, c.current_employer].filter(Boolean).join(' at ');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${escapeHtml(c.candidate_name || '—')}</td>
+      <td>${escapeHtml(c.resume_name)}</td>
+      <td>${escapeHtml(role || '—')}</td>
+      <td>${escapeHtml(c.skills.join(', ') || '—')}</td>
+      <td>${c.pool_score ?? '—'}</td>
+      <td>${escapeHtml(c.snippet || '—')}</td>
+      <td>${new Date(c.last_seen_at).toLocaleString()}</td>
+      <td class="history-actions">
+        <a class="btn btn--secondary btn--sm" href="/api/candidates/${c.id}/file">Download</a>
+        <button class="btn btn--outline btn--sm" data-action="delete">Delete</button>
+      </td>
+    `;
+
+    tr.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      removeCandidate(c.id).catch(err => console.error('❌ Pool delete error:', err.message));
+    });
+
+    poolTableBody.appendChild(tr);
+  });
+}
+
+async function removeCandidate(id) {
+  if (!confirm('Remove this candidate and their resume from the pool? This cannot be undone.')) return;
+
+  const res = await fetch(`/api/candidates/${id}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error(await res.text());
+
+  await loadPool();
 }
 
+// Shortlists the pool against the first JD on the server, then scores the top matches as a job
+async function startPoolJob(jd) {
+  const formData = new FormData();
+
+  if (jd instanceof File) {
+    formData.append('jd', jd);
+  } else {
+    formData.append('jd_text', jd.text);
+    formData.append('jd_title', jd.name);
+  }
+  formData.append('top_k', poolTopKInput.value);
+  appendScoringOptions(formData);
+
+  const res = await fetch('/api/candidates/match', { method: 'POST', body: formData });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+
+  const job = await res.json();
+  localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+  runId = job.run_id;
+  return job;
+}
+
+poolSearchInput.addEventListener('input', () => {
+  clearTimeout(poolSearchTimer);
+  poolSearchTimer = setTimeout(() => {
+    loadPool().catch(err => console.error('❌ Pool search error:', err.message));
+  }, POOL_SEARCH_DELAY_MS);
+});
+
+poolMatchBtn.addEventListener('click', async () => {
+  const [jd] = jds;
+  if (!jd) return;
+
+  resetForJob();
+  poolMatchBtn.disabled = true;
+
+  try {
+    statusText.textContent = `Shortlisting the candidate pool for "${jd.name}"...`;
+    const job = await startPoolJob(jd);
+    await watchJob(job.id);
+  } catch (err) {
+    console.error('❌ Pool match error:', err.message);
+    statusText.textContent = `❌ Error during pool matching: ${err.message}`;
+    updateProcessButton();
+  }
+});
+
+loadPool().catch(err => console.error('❌ Pool error:', err.message));
+
 /* ====================================================== 
 CLEAR FUNCTION 
 ====================================================== */
@@ -162,8 +1450,18 @@ clearBtn.addEventListener('click', () => {
   jdInput.value = '';
   resumeFileList.innerHTML = '';
   jdFileList.innerHTML = '';
+  resumeRejects.innerHTML = '';
+  jdRejects.innerHTML = '';
   resultsTableBody.innerHTML = '';
+  matrixBody.innerHTML = '';
+  allResults = [];
+  resetTableView();
+  renderTable();
+  runId = null;
+  resetReveals();
+  fairnessView.style.display = 'none';
   resultsSection.style.display = 'none';
   processingStatus.style.display = 'none';
+  progressFill.style.width = '0';
   updateProcessButton();
 });
\ No newline at end of file
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// cli.js — HEADLESS BATCH MATCHING (same pipeline and .env as server.js, no browser)
+
+// The server's logs (provider banner, per-resume progress) go to stderr so results
+// can be piped from stdout
+console.log = console.error;
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: resume-matcher match --jd <file> --resumes <path> [--resumes <path> ...] [options]
+
+Options:
+  --jd <file>          Job description (PDF, DOCX, RTF, HTML, TXT, MD)
+  --resumes <path>     Resume file, folder (searched recursively) or ZIP archive; repeatable
+  --out <file>         Where to write the results; "-" or omitted writes JSON to stdout
+  --format <format>    json, csv or xlsx (default: from the --out extension, else json)
+  --rubric <id>        Built-in or saved rubric (default: the default rubric)
+  --blend <0-1>        Weight of the keyword score (default: SCORE_BLEND)
+  --blind              Score anonymised resumes
+  --dry-run            Parse everything and print the prompts that would be sent; no LLM calls
+  -h, --help           Show this help
+
+The LLM provider is configured in .env, as for the server.
+
+Exit codes: 0 every resume scored, 1 a resume failed or the run stopped early, 2 usage error`;
+
+const OUTPUT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// server.js, loaded by match() so --help and usage errors need no provider configuration
+let server = null;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+/* ============================================================
+ARGUMENTS
+============================================================ */
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      jd: { type: 'string' },
+      resumes: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      format: { type: 'string' },
+      rubric: { type: 'string' },
+      blend: { type: 'string' },
+      blind: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const [command] = positionals;
+  if (command !== 'match') throw usageError(command ? `Unknown command "${command}"` : 'Missing command');
+  if (!values.jd) throw usageError('--jd is required');
+  if (!values.resumes?.length) throw usageError('--resumes is required');
+
+  const extension = values.out && values.out !== '-' ? path.extname(values.out).slice(1).toLowerCase() : '';
+  const format = (values.format || (OUTPUT_FORMATS.includes(extension) ? extension : 'json')).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) throw usageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  if (format === 'xlsx' && (!values.out || values.out === '-')) throw usageError('xlsx output needs an --out file');
+
+  return { ...values, format, dryRun: values['dry-run'] };
+}
+
+/* ============================================================
+INPUT FILES
+============================================================ */
+
+// Same shape as a multer upload, so the server pipeline takes it unchanged
+function readUpload(file, name) {
+  const buffer = fs.readFileSync(file);
+  return { originalname: name, buffer, size: buffer.length };
+}
+
+// Supported documents under a folder, in a stable order; dotfiles and dot-folders are skipped
+function listDocuments(dir, extensions) {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) found.push(...listDocuments(full, extensions));
+    else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) found.push(full);
+  }
+  return found.sort();
+}
+
+// Files keep their base name; files found in a folder keep their path inside it
+function collectResumes(targets, extensions) {
+  const uploads = [];
+
+  for (const target of targets) {
+    if (!fs.existsSync(target)) throw usageError(`${target} does not exist`);
+
+    if (fs.statSync(target).isDirectory()) {
+      for (const file of listDocuments(target, extensions)) {
+        uploads.push(readUpload(file, path.relative(target, file).split(path.sep).join('/')));
+      }
+    } else {
+      uploads.push(readUpload(target, path.basename(target)));
+    }
+  }
+
+  return uploads;
+}
+
+/* ============================================================
+OUTPUT
+============================================================ */
+
+function writeOutput(out, content) {
+  if (!out || out === '-') {
+    return new Promise((resolve, reject) => process.stdout.write(content, err => (err ? reject(err) : resolve())));
+  }
+  return fs.promises.writeFile(out, content);
+}
+
+async function formatResults(payload, format) {
+  if (format === 'csv') return server.buildCsv(payload.ranked_results);
+  if (format === 'xlsx') return server.buildWorkbook(payload.ranked_results);
+  return JSON.stringify(payload, null, 2) + '\n';
+}
+
+/* ============================================================
+COMMANDS
+============================================================ */
+
+// What each scoring request would contain. Names are extracted locally, so nothing reaches the provider,
+// and the resumes stay out of the candidate pool.
+async function dryRun(jdContext, resumes) {
+  let failed = 0;
+  const lines = [
+    `Provider: ${server.PROVIDER}`,
+    `Model: ${server.MODEL}`,
+    `Endpoint: ${server.BASE_URL || '(offline)'}`,
+    `Rubric: ${jdContext.rubric.name}`,
+    `Requirements: ${jdContext.requirements.length}`,
+    `Skills: ${jdContext.skills.required.length} required, ${jdContext.skills.nice_to_have.length} nice to have`,
+    `Resumes: ${resumes.length}`
+  ];
+  let system = null;
+
+  for (const resume of resumes) {
+    try {
+      const parsed = await server.parseResume(resume, undefined, { useLLM: false, index: false });
+      const { promptText } = server.promptTextFor(parsed, jdContext);
+      const prompts = server.buildScorePrompts(promptText, jdContext.text, jdContext.rubric,
+        { blind: jdContext.blind, requirements: jdContext.requirements });
+
+      // The system prompt only depends on the JD and rubric
+      if (system === null) {
+        system = prompts.system;
+        lines.push('', '=== SYSTEM (every resume) ===', system);
+      }
+      lines.push('', `=== ${resume.originalname} (${parsed.entities.candidate_name}, ~${server.estimateTokens(prompts.system + prompts.user)} prompt tokens, max ${prompts.maxTokens} reply tokens) ===`, prompts.user);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${resume.originalname}: ${err.message}`);
+    }
+  }
+
+  await writeOutput('-', lines.join('\n') + '\n');
+  return failed ? EXIT_FAILED : EXIT_OK;
+}
+
+async function match(options) {
+  server = require('./server');
+
+  if (!fs.existsSync(options.jd) || fs.statSync(options.jd).isDirectory()) throw usageError(`${options.jd} is not a file`);
+  const jd = await server.jdFromFile(readUpload(options.jd, path.basename(options.jd)));
+
+  let rubric;
+  try {
+    rubric = await server.resolveRubric(options.rubric);
+  } catch (err) {
+    throw usageError(`Rubric: ${err.message}`);
+  }
+
+  const jdContext = server.buildJdContext(jd, { blend: options.blend, rubric, blind: options.blind });
+
+  const uploads = collectResumes(options.resumes, [...server.UPLOAD_EXTENSIONS, ...server.ZIP_ARCHIVE_EXTENSIONS]);
+  const { files, skipped } = server.expandResumeArchives(uploads);
+  skipped.forEach(entry => console.warn(`⚠️ Skipped ${entry.archive}/${entry.path}: ${entry.reason}`));
+  if (files.length === 0) throw usageError('No supported resumes found');
+
+  if (options.dryRun) return dryRun(jdContext, files);
+
+  // Ctrl+C stops the batch; what was scored so far is still saved and written
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.warn('⚠️ Interrupted, writing the results scored so far');
+    controller.abort();
+  });
+
+  const run = await server.getOrCreateRun();
+  const { results, counts, llmStats } = await server.runBatch(run, jd, jdContext, files, { signal: controller.signal, skipped });
+
+  const payload = {
+    run_id: run.id,
+    total: results.length,
+    ranked_results: results,
+    skipped_entries: skipped,
+    llm_stats: llmStats
+  };
+  await writeOutput(options.out, await formatResults(payload, options.format));
+
+  console.log(`✓ ${counts.scored} scored, ${counts.failed} failed of ${counts.total} (run ${run.id})`);
+  if (options.out && options.out !== '-') console.log(`✓ Results written to ${options.out}`);
+
+  return counts.failed || counts.completed < counts.total ? EXIT_FAILED : EXIT_OK;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    await writeOutput('-', `${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  try {
+    return await match(options);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return err.code === 'USAGE' ? EXIT_USAGE : EXIT_FAILED;
+  } finally {
+    // The OCR worker would otherwise keep the process alive
+    await server?.closeOcr();
+  }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -6,18 +6,43 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+const { findNumbers: findPhoneNumbers, getCountries, isSupportedCountry } = require('libphonenumber-js');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const app = express();
-const upload = multer();
+
+// Upload limits; /api/config hands them to the browser so it can check files before sending
+const UPLOAD_MAX_MB = Math.max(1, parseFloat(process.env.UPLOAD_MAX_MB) || 10);
+const UPLOAD_MAX_RESUMES = 100;
+const UPLOAD_EXTENSIONS = ['.pdf', '.docx', '.doc', '.rtf', '.txt', '.md', '.html', '.htm'];
+const ZIP_MAX_MB = Math.max(1, parseFloat(process.env.ZIP_MAX_MB) || 50);
+// Resumes per batch once ZIP uploads are expanded
+const BATCH_MAX_RESUMES = Math.max(1, parseInt(process.env.BATCH_MAX_RESUMES, 10) || 500);
+
+// Multer allows archive-sized files; expandUploads holds documents to UPLOAD_MAX_MB
+const upload = multer({ limits: { fileSize: Math.max(UPLOAD_MAX_MB, ZIP_MAX_MB) * 1024 * 1024 } });
 const PORT = process.env.PORT || 3000;
 
 // Support multiple LLM providers
 const API_KEY = process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
-const BASE_URL = process.env.OPENAI_BASE_URL;
-const MODEL = process.env.OPENAI_MODEL;
+
+// Optional explicit provider; otherwise detected from BASE_URL
+const LLM_PROVIDERS = ['OPENAI', 'ANTHROPIC', 'OLLAMA', 'MOCK'];
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || '').toUpperCase();
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || (LLM_PROVIDER === 'OLLAMA' ? 'http://localhost:11434' : ''))
+  .replace(/\/+$/, '');
+const MODEL = process.env.OPENAI_MODEL || (LLM_PROVIDER === 'MOCK' ? 'mock' : undefined);
 
 // Detect provider from BASE_URL
 function detectProvider() {
+  if (LLM_PROVIDER) return LLM_PROVIDER;
   if (!BASE_URL) return 'UNKNOWN';
   if (BASE_URL.includes('anthropic')) return 'ANTHROPIC';
   if (BASE_URL.includes('openai')) return 'OPENAI';
@@ -30,171 +55,518 @@ function detectProvider() {
 
 const PROVIDER = detectProvider();
 
-if (!API_KEY || !BASE_URL || !MODEL) {
+if (LLM_PROVIDER && !LLM_PROVIDERS.includes(LLM_PROVIDER)) {
+  console.error(`❌ Unknown LLM_PROVIDER "${process.env.LLM_PROVIDER}" (expected one of: ${LLM_PROVIDERS.join(', ').toLowerCase()})`);
+  process.exit(1);
+}
+
+// The mock provider runs offline; Ollama needs no key
+const needsApiKey = !['MOCK', 'OLLAMA'].includes(PROVIDER);
+
+if (PROVIDER !== 'MOCK' && ((needsApiKey && !API_KEY) || !BASE_URL || !MODEL)) {
   console.error('❌ Missing LLM configuration in .env');
   console.error('Required:');
   console.error('  - OPENAI_API_KEY or ANTHROPIC_API_KEY');
   console.error('  - OPENAI_BASE_URL');
   console.error('  - OPENAI_MODEL');
+  console.error('Or set LLM_PROVIDER=mock to run without an LLM');
   process.exit(1);
 }
 
 console.log(`✓ Provider: ${PROVIDER}`);
 console.log(`✓ Model: ${MODEL}`);
-console.log(`✓ Endpoint: ${BASE_URL}`);
+console.log(`✓ Endpoint: ${BASE_URL || '(offline)'}`);
 
 app.use(cors());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static(__dirname));
 
 /* ============================================================
-RATE LIMITING - PREVENT TOKEN EXHAUSTION
+LLM REQUEST SCHEDULER (CONCURRENCY, RATE BUDGETS, RETRIES)
 ============================================================ */
 
-let requestQueue = [];
-let isProcessing = false;
-const REQUEST_DELAY = 500; // 500ms between API requests
+const LLM_CONCURRENCY = Math.max(1, parseInt(process.env.LLM_CONCURRENCY, 10) || 2);
+const LLM_RPM = Math.max(0, parseInt(process.env.LLM_RPM, 10) || 0); // 0 = no limit
+const LLM_TPM = Math.max(0, parseInt(process.env.LLM_TPM, 10) || 0); // 0 = no limit
+const LLM_TIMEOUT_MS = Math.max(1000, parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000);
+const LLM_HTTP_RETRIES = Math.max(0, parseInt(process.env.LLM_HTTP_RETRIES ?? 4, 10) || 0);
+const LLM_BACKOFF_MS = Math.max(1, parseInt(process.env.LLM_BACKOFF_MS, 10) || 1000);
+const LLM_BACKOFF_MAX_MS = 30000;
+const RATE_WINDOW_MS = 60 * 1000;
+const STATS_SAMPLES = 1000;
 
-async function rateLimitedFetch(url, options) {
+const isRetryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+// Batch-scoped { signal, stats } so deep callLLM calls can be cancelled and
+// counted without passing them through every function
+const llmContext = new AsyncLocalStorage();
+
+let llmQueue = [];
+let llmActive = 0;
+let llmWakeTimer = null;
+const llmWindow = []; // { at, tokens } for requests started in the last minute
+
+function cancelledError() {
+  const err = new Error('Request cancelled');
+  err.code = 'CANCELLED';
+  return err;
+}
+
+function sleep(ms, signal) {
   return new Promise((resolve, reject) => {
-    requestQueue.push(() =>
-      fetch(url, options)
-        .then(resolve)
-        .catch(reject)
-    );
-    processQueue();
+    if (signal?.aborted) return reject(cancelledError());
+
+    // Batches share one signal, so the listener goes as soon as the wait is over
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
 }
 
-async function processQueue() {
-  if (isProcessing || requestQueue.length === 0) return;
-  
-  isProcessing = true;
-  const request = requestQueue.shift();
-  
-  try {
-    await request();
-  } finally {
-    await new Promise(r => setTimeout(r, REQUEST_DELAY));
-    isProcessing = false;
-    processQueue();
+function createLLMStats() {
+  return { requests: 0, retries: 0, failures: 0, timeouts: 0, statuses: {}, tokens_in: 0, tokens_out: 0, latencies: [], waits: [] };
+}
+
+const llmTotals = createLLMStats();
+
+function recordSample(list, value) {
+  list.push(value);
+  if (list.length > STATS_SAMPLES) list.shift();
+}
+
+function summariseLLMStats(stats) {
+  const sorted = [...stats.latencies].sort((a, b) => a - b);
+  const avg = list => (list.length ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : 0);
+
+  return {
+    requests: stats.requests,
+    retries: stats.retries,
+    failures: stats.failures,
+    timeouts: stats.timeouts,
+    statuses: stats.statuses,
+    tokens: { input: stats.tokens_in, output: stats.tokens_out, total: stats.tokens_in + stats.tokens_out },
+    latency_ms: {
+      avg: avg(sorted),
+      p95: sorted.length ? sorted[Math.floor(0.95 * (sorted.length - 1))] : 0,
+      max: sorted.length ? sorted[sorted.length - 1] : 0
+    },
+    queue_wait_ms: { avg: avg(stats.waits), max: stats.waits.length ? Math.max(...stats.waits) : 0 }
+  };
+}
+
+// Start queued requests while concurrency and the per-minute budgets allow
+function pumpLLMQueue() {
+  const now = Date.now();
+  while (llmWindow.length && now - llmWindow[0].at >= RATE_WINDOW_MS) llmWindow.shift();
+
+  while (llmQueue.length && llmActive < LLM_CONCURRENCY) {
+    const job = llmQueue[0];
+    const windowTokens = llmWindow.reduce((sum, e) => sum + e.tokens, 0);
+    const overRpm = LLM_RPM && llmWindow.length >= LLM_RPM;
+    // A single request bigger than the whole budget still runs once the window is empty
+    const overTpm = LLM_TPM && llmWindow.length && windowTokens + job.tokens > LLM_TPM;
+
+    if (overRpm || overTpm) {
+      if (!llmWakeTimer) {
+        llmWakeTimer = setTimeout(() => {
+          llmWakeTimer = null;
+          pumpLLMQueue();
+        }, llmWindow[0].at + RATE_WINDOW_MS - now);
+      }
+      return;
+    }
+
+    llmQueue.shift();
+    const entry = { at: now, tokens: job.tokens };
+    llmWindow.push(entry);
+    llmActive++;
+
+    let released = false;
+    job.resolve(actualTokens => {
+      if (released) return;
+      released = true;
+      if (actualTokens) entry.tokens = actualTokens;
+      llmActive--;
+      pumpLLMQueue();
+    });
   }
 }
 
-/* ============================================================
-IMPROVED REGEX PATTERNS
-============================================================ */
+// Resolves with a release(actualTokens) callback once the request may start
+function acquireLLMSlot(tokens, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError());
 
-const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-z]{2,}/g;
-const phoneRegex = /(\+?91|0)?[\s-]?[6-9]\d{2}[\s-]?\d{3}[\s-]?\d{4}|(\+1[\s-]?)?(\(\d{3}\)|[\s-]?\d{3})[\s-]?\d{3}[\s-]?\d{4}/g;
-const linkedinRegex = /(https?:\/\/)?(www\.)?linkedin\.com\/in\/[a-zA-Z0-9\-_%]+/gi;
+    const onAbort = () => {
+      if (!llmQueue.includes(job)) return;
+      llmQueue = llmQueue.filter(j => j !== job);
+      reject(cancelledError());
+    };
+    // Granted: the batch's shared signal no longer needs to reach this request
+    const grant = release => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(release);
+    };
+
+    const job = { tokens, resolve: grant, reject };
+    llmQueue.push(job);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    pumpLLMQueue();
+  });
+}
+
+// Retry-After (seconds or an HTTP date) wins; otherwise exponential backoff with jitter
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms)) return Math.max(0, ms);
+  }
+
+  const ceiling = Math.min(LLM_BACKOFF_MAX_MS, LLM_BACKOFF_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// POST an adapter request through the scheduler; returns the parsed JSON body
+async function fetchLLM(request, estimatedTokens) {
+  const { signal, stats } = llmContext.getStore() || {};
+  const record = fn => [llmTotals, stats].filter(Boolean).forEach(fn);
+
+  for (let attempt = 0; ; attempt++) {
+    const queuedAt = Date.now();
+    const release = await acquireLLMSlot(estimatedTokens, signal);
+    const startedAt = Date.now();
+    const timeout = AbortSignal.timeout(LLM_TIMEOUT_MS);
+    record(s => {
+      s.requests++;
+      recordSample(s.waits, startedAt - queuedAt);
+    });
+
+    let response;
+    let data;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+      data = await response.json().catch(() => ({}));
+    } catch (err) {
+      release();
+      if (signal?.aborted) throw cancelledError();
+
+      const reason = timeout.aborted ? `timed out after ${LLM_TIMEOUT_MS} ms` : err.message;
+      if (timeout.aborted) record(s => s.timeouts++);
+
+      if (attempt >= LLM_HTTP_RETRIES) {
+        record(s => s.failures++);
+        throw new Error(`LLM request failed: ${reason}`);
+      }
+
+      const delay = retryDelay(attempt);
+      console.warn(`⚠️ LLM request ${reason}, retrying in ${delay} ms (${attempt + 1}/${LLM_HTTP_RETRIES})`);
+      record(s => s.retries++);
+      await sleep(delay, signal);
+      continue;
+    }
+
+    record(s => {
+      recordSample(s.latencies, Date.now() - startedAt);
+      s.statuses[response.status] = (s.statuses[response.status] || 0) + 1;
+    });
+
+    if (response.ok) {
+      const usage = llmAdapter.parseUsage(data);
+      record(s => {
+        s.tokens_in += usage.input || 0;
+        s.tokens_out += usage.output || 0;
+      });
+      release(usage.input + usage.output || null);
+      return data;
+    }
+
+    release();
+
+    if (!isRetryableStatus(response.status) || attempt >= LLM_HTTP_RETRIES) {
+      record(s => s.failures++);
+      const err = new Error(data.error?.message || data.error || `LLM request failed: ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    const delay = retryDelay(attempt, response.headers.get('retry-after'));
+    console.warn(`⚠️ LLM request failed: ${response.status}, retrying in ${delay} ms (${attempt + 1}/${LLM_HTTP_RETRIES})`);
+    record(s => s.retries++);
+    await sleep(delay, signal);
+  }
+}
+
+// Run fn over items with at most `limit` in flight; results keep the input order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
 /* ============================================================
-LLM-BASED NAME EXTRACTION (WITH CACHING)
+LLM PROVIDER ADAPTERS
 ============================================================ */
 
-const nameCache = {};
+// Every adapter turns { system, user, maxTokens, temperature } into an HTTP
+// request and pulls the reply text back out of the provider's response.
+// The mock adapter answers locally via complete() instead.
 
-async function extractNameWithLLM(text, resumeFileName) {
-  const cacheKey = resumeFileName;
-  if (nameCache[cacheKey]) {
-    console.log(`✓ Using cached name for ${resumeFileName}`);
-    return nameCache[cacheKey];
-  }
+const openaiAdapter = {
+  name: 'openai',
+  buildRequest({ system, user, maxTokens, temperature, jsonMode }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (API_KEY) headers['Authorization'] = `Bearer ${API_KEY}`;
 
-  try {
-    // Build provider-specific request
-    let requestBody = {};
-    let headers = {
-      'Content-Type': 'application/json'
+    return {
+      url: `${BASE_URL}/chat/completions`,
+      headers,
+      body: {
+        model: MODEL,
+        temperature,
+        max_tokens: maxTokens,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: user }
+        ]
+      }
     };
+  },
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content ?? '';
+  },
+  parseUsage(data) {
+    return { input: data.usage?.prompt_tokens || 0, output: data.usage?.completion_tokens || 0 };
+  }
+};
 
-    if (PROVIDER === 'ANTHROPIC') {
-      headers['x-api-key'] = API_KEY;
-      headers['anthropic-version'] = '2023-06-01';
-      
-      requestBody = {
+// Anthropic has no JSON switch; prefilling the reply with "{" has the same effect
+const anthropicAdapter = {
+  name: 'anthropic',
+  buildRequest({ system, user, maxTokens, temperature, jsonMode }) {
+    return {
+      url: `${BASE_URL}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
         model: MODEL,
-        max_tokens: 50,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
         messages: [
-          {
-            role: 'user',
-            content: `Extract the candidate's full name from this resume text. Return ONLY a valid JSON object with field "name". Do NOT include titles, degrees, company names, or locations.
-
-Resume text:
-${text.slice(0, 800)}`
-          }
+          { role: 'user', content: user },
+          ...(jsonMode ? [{ role: 'assistant', content: '{' }] : [])
         ]
-      };
-    } else {
-      // OpenAI-compatible format (OpenAI, Groq, Perplexity, DeepSeek, Ollama)
-      headers['Authorization'] = `Bearer ${API_KEY}`;
-      
-      requestBody = {
+      },
+      replyPrefix: jsonMode ? '{' : ''
+    };
+  },
+  parseResponse(data) {
+    return (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  },
+  parseUsage(data) {
+    return { input: data.usage?.input_tokens || 0, output: data.usage?.output_tokens || 0 };
+  }
+};
+
+// Native Ollama API (BASE_URL without /v1, e.g. http://localhost:11434)
+const ollamaAdapter = {
+  name: 'ollama',
+  buildRequest({ system, user, maxTokens, temperature, jsonMode }) {
+    return {
+      url: `${BASE_URL}/api/chat`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
         model: MODEL,
-        temperature: 0.1,
-        max_tokens: 50,
+        stream: false,
+        ...(jsonMode ? { format: 'json' } : {}),
+        options: { temperature, num_predict: maxTokens },
         messages: [
-          {
-            role: 'system',
-            content: 'Extract the candidate\'s full name from resume text. Return ONLY JSON: {"name": "Full Name"}. Do NOT include titles, degrees, company names, or locations.'
-          },
-          {
-            role: 'user',
-            content: `Extract name from resume:\n\n${text.slice(0, 800)}`
-          }
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: user }
         ]
-      };
-    }
-
-    const response = await rateLimitedFetch(
-      PROVIDER === 'ANTHROPIC' 
-        ? 'https://api.anthropic.com/v1/messages'
-        : `${BASE_URL}/chat/completions`,
-      {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(requestBody)
       }
-    );
+    };
+  },
+  parseResponse(data) {
+    return data.message?.content ?? '';
+  },
+  parseUsage(data) {
+    return { input: data.prompt_eval_count || 0, output: data.eval_count || 0 };
+  }
+};
 
-    if (!response.ok) {
-      const err = await response.json();
-      console.warn('⚠️ LLM API error:', err.error?.message || JSON.stringify(err));
-      return null;
-    }
+const MOCK_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'our', 'are', 'will', 'have', 'from',
+  'this', 'that', 'your', 'all', 'any', 'can', 'not', 'but', 'who', 'its',
+  'into', 'able', 'work', 'team', 'role', 'years', 'year', 'experience'
+]);
 
-    const data = await response.json();
-    let content = '';
+function mockKeywords(text) {
+  return new Set(
+    (text.toLowerCase().match(/[a-z][a-z0-9+#.]{2,}/g) || [])
+      .map(word => word.replace(/\.+$/, ''))
+      .filter(word => word.length > 2 && !MOCK_STOPWORDS.has(word))
+  );
+}
 
-    // Extract content based on provider
-    if (PROVIDER === 'ANTHROPIC') {
-      content = data.content[0].text;
-    } else {
-      content = data.choices[0].message.content;
+// Deterministic, network-free stand-in for offline runs and tests
+const mockAdapter = {
+  name: 'mock',
+  async complete({ task, input }) {
+    if (task === 'name') {
+      return JSON.stringify({ name: extractNameRegex(input.resumeText) || 'Unknown' });
     }
 
-    const match = content.match(/\{[\s\S]*\}/);
-    
-    if (match) {
-      const result = JSON.parse(match[0]);
-      const name = result.name !== 'Unknown' ? result.name : null;
-      
-      if (name) {
-        nameCache[cacheKey] = name;
-      }
-      
-      return name;
-    }
+    const jdWords = mockKeywords(input.jdText);
+    const resumeWords = mockKeywords(input.resumeText);
+    const matched = [...jdWords].filter(word => resumeWords.has(word));
+    const coverage = jdWords.size ? matched.length / jdWords.size : 0;
+    const score = Math.round(coverage * 100);
+
+    // Every rubric criterion gets the overall keyword coverage; a must-have is met
+    // when all of its own keywords appear in the resume
+    const criteria = Object.fromEntries(input.rubric.criteria.map(c => [c.key, score]));
+    const mustHaves = input.rubric.must_haves.map(text => [...mockKeywords(text)].every(word => resumeWords.has(word)));
+
+    // A requirement is met when its keywords all appear; the resume line with most of them is the evidence
+    const lines = input.resumeText.split('\n').map(line => line.trim()).filter(Boolean);
+    const requirements = (input.requirements || []).map(r => {
+      const words = [...mockKeywords(r.text)];
+      const hits = line => words.filter(word => mockKeywords(line).has(word)).length;
+      const best = lines.reduce((a, line) => (hits(line) > hits(a) ? line : a), lines[0] || '');
+      const found = words.filter(word => resumeWords.has(word)).length;
+      return {
+        status: words.length && found === words.length ? 'met' : found ? 'partial' : 'missing',
+        evidence: found && hits(best) ? best.slice(0, 200) : ''
+      };
+    });
+
+    return JSON.stringify({
+      criteria,
+      ...(mustHaves.length ? { must_haves: mustHaves } : {}),
+      ...(requirements.length ? { requirements } : {}),
+      skills_match: `${score}%`,
+      experience_fit: score >= 75 ? 'Strong' : score >= 50 ? 'Medium' : 'Weak',
+      seniority_fit: score >= 75 ? 'Strong' : score >= 50 ? 'Medium' : 'Weak',
+      summary: `Mock score: ${matched.length} of ${jdWords.size} JD keywords found in the resume.`
+    });
+  }
+};
+
+function selectAdapter() {
+  if (PROVIDER === 'MOCK') return mockAdapter;
+  if (PROVIDER === 'ANTHROPIC') return anthropicAdapter;
+  if (PROVIDER === 'OLLAMA' && !/\/v1$/.test(BASE_URL)) return ollamaAdapter;
+  return openaiAdapter;
+}
+
+const llmAdapter = selectAdapter();
+console.log(`✓ Adapter: ${llmAdapter.name}`);
+
+// Some OpenAI-compatible servers reject response_format; stop sending it after the first 400
+let jsonModeSupported = process.env.LLM_JSON_MODE !== 'false';
+
+// task/input are only read by the mock adapter
+async function callLLM({ system, user, maxTokens, temperature = 0.2, jsonMode = false, task, input }) {
+  if (llmAdapter.complete) {
+    [llmTotals, llmContext.getStore()?.stats].filter(Boolean).forEach(s => s.requests++);
+    return llmAdapter.complete({ system, user, maxTokens, temperature, task, input });
+  }
+
+  const useJsonMode = jsonMode && jsonModeSupported;
+  const request = llmAdapter.buildRequest({ system, user, maxTokens, temperature, jsonMode: useJsonMode });
+
+  let data;
+  try {
+    // Reserve the prompt plus the largest possible reply against the token budget
+    data = await fetchLLM(request, estimateTokens(`${system || ''}${user}`) + maxTokens);
   } catch (err) {
-    console.warn('⚠️ LLM extraction error:', err.message);
+    if (useJsonMode && err.status === 400 && llmAdapter === openaiAdapter) {
+      console.warn(`⚠️ JSON mode rejected (${err.message}), retrying without it`);
+      jsonModeSupported = false;
+      return callLLM({ system, user, maxTokens, temperature, jsonMode: false, task, input });
+    }
+
+    throw err;
   }
-  return null;
+
+  return (request.replyPrefix || '') + llmAdapter.parseResponse(data);
+}
+
+/* ============================================================
+IMPROVED REGEX PATTERNS
+============================================================ */
+
+const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const linkedinRegex = /(https?:\/\/)?(www\.)?linkedin\.com\/in\/[a-zA-Z0-9\-_%]+/gi;
+const githubRegex = /(?:https?:\/\/)?(?:www\.)?github\.com\/([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))(?![A-Za-z0-9-])/i;
+// Web addresses, but not the domain half of an email address
+const urlRegex = /(?<![@\w.])(?:https?:\/\/|www\.)[^\s|,;()<>]+|(?<![@\w.\/])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:dev|io|me|site|page|design|app|net|com|org)(?:\/[^\s|,;()<>]*)?(?![\w@])/gi;
+
+/* ============================================================
+LLM-BASED NAME EXTRACTION
+============================================================ */
+
+// Cached with the other entities by document hash (see parseResume). Errors are thrown,
+// so a failed call is not cached as if the model had answered.
+async function extractNameWithLLM(text) {
+  const { value } = await callLLMStructured({
+    schema: NAME_SCHEMA,
+    system: 'Extract the candidate\'s full name from resume text. Return ONLY JSON: {"name": "Full Name"}. Do NOT include titles, degrees, company names, or locations.',
+    user: `Extract name from resume:\n\n${text.slice(0, 800)}`,
+    maxTokens: 50,
+    temperature: 0.1,
+    task: 'name',
+    input: { resumeText: text }
+  });
+
+  return value.name !== 'Unknown' ? value.name : null;
 }
 
 /* ============================================================
 FALLBACK REGEX NAME EXTRACTION
 ============================================================ */
 
+// Capitalised words in any script ("José", "O'Brien", "McKay"), lowercase particles
+// ("van der", "de la") between them, and an optional middle initial
+const NAME_WORD = '\\p{Lu}\\p{Ll}+(?:[\'’]?\\p{Lu}\\p{Ll}+)?';
+const NAME_REGEX = new RegExp(
+  `^${NAME_WORD}(?:[\\s-](?:(?:van|von|der|den|de|da|di|del|della|la|le|du|dos|das|bin|al|ter)\\s)*${NAME_WORD})*(?:\\s\\p{Lu}\\.?)?$`,
+  'u'
+);
+
+// "Mrs. Priya Sharma", "Dr. Jan Novák", "Herr Lukas Weber"
+const HONORIFIC_REGEX = /^(?:mr|mrs|ms|miss|mx|dr|prof|herr|frau|sr|sra|srta|m|mme|mlle|sig|sig\.ra)\.?\s+(?=\p{Lu})/iu;
+
 function extractNameRegex(text) {
   const blacklist = [
     'engineering', 'engineer', 'electronics', 'communication',
@@ -213,18 +585,21 @@ function extractNameRegex(text) {
     .map(l => l.trim())
     .filter(l => l.length > 0 && l.length < 60);
 
-  for (const line of lines.slice(0, 20)) {
+  for (const raw of lines.slice(0, 20)) {
+    const line = raw.replace(HONORIFIC_REGEX, '');
     const lower = line.toLowerCase();
 
     if (blacklist.some(word => lower.includes(word))) continue;
     if (/[0-9@:/!]/.test(line)) continue;
+    if (headingFor(line)) continue;
 
+    // "ANNA MÜLLER" -> "Anna Müller"
     const normalized =
-      /^[A-Z\s]+$/.test(line)
-        ? line.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())
+      /^[\p{Lu}\s'’-]+$/u.test(line)
+        ? line.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase())
         : line;
 
-    if (/^[A-Z][a-z]+([\s\-'][A-Z][a-z]+)*([\s][A-Z])?$/.test(normalized)) {
+    if (NAME_REGEX.test(normalized)) {
       return normalized;
     }
   }
@@ -233,254 +608,4738 @@ function extractNameRegex(text) {
 }
 
 /* ============================================================
-IMPROVED PHONE NUMBER EXTRACTION
+PHONE NUMBER EXTRACTION (E.164)
 ============================================================ */
 
-function extractPhones(text) {
-  const matches = text.match(phoneRegex) || [];
-  
-  if (matches.length > 0) {
-    let phone = matches[0]
-      .replace(/[\s\-()]/g, '')
-      .replace(/^0/, '+91');
-    
-    return phone || '—';
+// Numbers written without a country code are read as local numbers of this region when the
+// resume gives no country of its own; unset, they are kept as the digits written
+const PHONE_REGION_SETTING = String(process.env.PHONE_DEFAULT_REGION || '').trim().toUpperCase();
+const PHONE_DEFAULT_REGION = isSupportedCountry(PHONE_REGION_SETTING) ? PHONE_REGION_SETTING : null;
+if (PHONE_REGION_SETTING && !PHONE_DEFAULT_REGION) {
+  console.warn(`⚠️ PHONE_DEFAULT_REGION ${PHONE_REGION_SETTING} is not a known region; local numbers are kept as written`);
+}
+
+const PHONE_LABEL_REGEX = /\b(?:tel|phone|mobile|mob|cell|handy|telefon|téléphone|teléfono|móvil|cellulare|whatsapp)\b/i;
+// "12.03.1990" is a valid German number
+const PHONE_DATE_REGEX = /\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b|\b\d{4}-\d{2}-\d{2}\b/g;
+// "(415) 555-0134", "030 1234567": a local number when no region is known
+const LOCAL_PHONE_REGEX = /(?<![\w+])\(?\d[\d\s().-]{5,}\d(?!\w)/g;
+
+// Two-letter endings other than US states give no country: "IN" is Indiana as often as India
+const US_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+]);
+const COUNTRY_ALIASES = {
+  usa: 'US', 'u.s.': 'US', 'u.s.a.': 'US', 'united states of america': 'US',
+  uk: 'GB', 'u.k.': 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB'
+};
+// English country name -> region code, built on first use
+let countryNames = null;
+
+// "Berlin, Germany" -> DE, "Austin, TX" -> US; null when the location names no country
+function countryFromLocation(location) {
+  if (!location) return null;
+
+  const last = location.split(',').pop().trim();
+  if (US_STATE_CODES.has(last)) return 'US';
+
+  if (!countryNames) {
+    const names = new Intl.DisplayNames(['en'], { type: 'region' });
+    countryNames = new Map(getCountries().map(code => [names.of(code).toLowerCase(), code]));
   }
+  const key = last.toLowerCase();
+  return COUNTRY_ALIASES[key] || countryNames.get(key) || null;
+}
 
-  const lines = text.split('\n');
-  for (const line of lines) {
-    const match = line.match(/(\+91[\s]?)?([6-9]\d{9})/);
-    if (match) {
-      return match[0].trim();
-    }
-    const match2 = line.match(/\(91\)[\s]?([6-9]\d{4})[\s-]?(\d{5})/);
-    if (match2) {
-      return `+91${match2[1]}${match2[2]}`;
+// Every number in the text, in order of appearance. International numbers come out as
+// E.164 ("+4930123456"). Numbers without a country code only count in the contact block or
+// on a labelled line, so IDs and figures further down are not read as phone numbers. They are
+// read as local to the country of the candidate's own international numbers, else of their
+// location, else PHONE_DEFAULT_REGION; with none of those they are kept as the digits written
+// rather than given a country they may not have.
+function extractPhones(text, contactLines = [], { location = null } = {}) {
+  const blank = match => ' '.repeat(match.length);
+  // Ranges first: "01/2015 – 02/2019" is one too
+  const withoutDates = text
+    .replace(new RegExp(DATE_RANGE_REGEX.source, 'gi'), blank)
+    .replace(PHONE_DATE_REGEX, blank)
+    // "0044 20 ..." is international whatever the region; the parser only knows that with one
+    .replace(/(^|[^\d+])00(?=[1-9])/g, '$1 +');
+  const contact = new Set(contactLines.map(line => line.trim()));
+  const countsAsLocal = (startsAt, endsAt) => {
+    const start = withoutDates.lastIndexOf('\n', startsAt - 1) + 1;
+    const end = withoutDates.indexOf('\n', endsAt);
+    const line = text.slice(start, end === -1 ? undefined : end).trim();
+    return contact.has(line) || PHONE_LABEL_REGEX.test(line);
+  };
+  const isInternational = match => withoutDates[match.startsAt] === '+';
+  const find = region => findPhoneNumbers(withoutDates, { defaultCountry: region, v2: true })
+    // Short "valid" numbers are postcodes and extensions more often than phones
+    .filter(match => match.number.isValid() && match.number.nationalNumber.length >= 7);
+
+  const international = find(undefined).filter(isInternational);
+  const region = international[0]?.number.country || countryFromLocation(location) || PHONE_DEFAULT_REGION;
+
+  let found;
+  if (region) {
+    found = find(region)
+      .filter(match => isInternational(match) || countsAsLocal(match.startsAt, match.endsAt))
+      .map(match => ({ at: match.startsAt, phone: match.number.number }));
+  } else {
+    let rest = withoutDates;
+    for (const match of international) {
+      rest = rest.slice(0, match.startsAt) + blank(rest.slice(match.startsAt, match.endsAt)) + rest.slice(match.endsAt);
     }
+    const local = [...rest.matchAll(LOCAL_PHONE_REGEX)]
+      .map(match => ({ at: match.index, phone: match[0].replace(/\D/g, ''), endsAt: match.index + match[0].length }))
+      .filter(match => match.phone.length >= 7 && match.phone.length <= 15 && countsAsLocal(match.at, match.endsAt));
+
+    found = [...international.map(match => ({ at: match.startsAt, phone: match.number.number })), ...local]
+      .sort((a, b) => a.at - b.at);
+  }
+
+  return [...new Set(found.map(match => match.phone))];
+}
+
+/* ============================================================
+CANDIDATE PROFILE (LOCATION, CURRENT ROLE, EXPERIENCE, DEGREE, LINKS)
+============================================================ */
+
+const LOCATION_LABEL_REGEX = /^(?:location|based in|address|city|residence|wohnort|ort|ville|ciudad)\s*[:\-–]\s*(.+)$/i;
+// "Berlin, Germany", "São Paulo, Brazil", "Austin, TX"
+const CITY_REGION_REGEX = /^\p{Lu}[\p{L}.'’ -]{1,30},\s*\p{Lu}[\p{L}.'’ -]{1,30}$/u;
+// A contact-line "Backend Developer, Acme" looks like a place too
+const ROLE_WORD_REGEX = /\b(?:engineer|developer|manager|designer|analyst|consultant|architect|scientist|intern|lead|director|officer|specialist|administrator|student|ltd|inc|gmbh|llc|university|college)\b/i;
+
+// Labelled lines first ("Location: Munich, Germany"), then a bare "City, Country" in the header
+function extractLocation(contactLines) {
+  for (const line of contactLines.slice(0, 12)) {
+    const labelled = line.match(LOCATION_LABEL_REGEX);
+    if (!labelled) continue;
+
+    // Keep the town and country of a full address, not the street or postcode
+    const parts = labelled[1].split(/\s*[,|]\s*/);
+    if (parts.length > 1 && /\d/.test(parts[0])) parts.shift();
+    const places = parts
+      .map(part => part.split(/\s+/).filter(word => !/\d/.test(word)).join(' '))
+      .filter(part => /\p{L}{2}/u.test(part));
+    if (places.length) return places.slice(-2).join(', ');
+  }
+
+  for (const line of contactLines.slice(0, 12)) {
+    const place = line.split(/\s*[|•·]\s*/)
+      .map(part => part.trim())
+      .find(part => CITY_REGION_REGEX.test(part) && !ROLE_WORD_REGEX.test(part) && !headingFor(part));
+    if (place) return place;
   }
 
-  return '—';
+  return null;
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ONGOING_REGEX = /^(?:present|current|now|today|date)$/i;
+
+// DATE_POINT text -> months since year 0; a bare year means January, or December for an end date
+function monthIndex(point, { end = false, now = new Date() } = {}) {
+  const text = String(point || '').trim().toLowerCase();
+  if (ONGOING_REGEX.test(text)) return now.getFullYear() * 12 + now.getMonth();
+
+  const named = text.match(/^([a-z]{3})[a-z]*\.?\s*(\d{4})$/);
+  if (named && MONTH_NAMES.includes(named[1])) return Number(named[2]) * 12 + MONTH_NAMES.indexOf(named[1]);
+
+  const numeric = text.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (numeric && numeric[1] >= 1 && numeric[1] <= 12) return Number(numeric[2]) * 12 + Number(numeric[1]) - 1;
+
+  const year = text.match(/^(\d{4})$/);
+  if (year) return Number(year[1]) * 12 + (end ? 11 : 0);
+
+  return null;
+}
+
+// Dated experience entries as [start, end] month ranges, oldest first
+function experienceRanges(entries, now = new Date()) {
+  const latest = now.getFullYear() * 12 + now.getMonth();
+  return entries
+    .filter(e => e.start && e.end)
+    .map(e => ({ entry: e, start: monthIndex(e.start, { now }), end: monthIndex(e.end, { end: true, now }) }))
+    .filter(r => r.start !== null && r.end !== null && r.start <= r.end && r.start >= 1950 * 12)
+    .map(r => ({ ...r, end: Math.min(r.end, latest) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Overlapping jobs count once, so two part-time roles held together don't double the total
+function yearsOfExperience(ranges) {
+  let months = 0;
+  let coveredTo = -Infinity;
+
+  for (const { start, end } of ranges) {
+    const from = Math.max(start, coveredTo + 1);
+    if (end >= from) months += end - from + 1;
+    coveredTo = Math.max(coveredTo, end);
+  }
+
+  return ranges.length ? Math.round(months / 12 * 10) / 10 : null;
+}
+
+// The ongoing role, or else the one that ended last
+function currentRole(ranges) {
+  const latest = [...ranges].sort((a, b) => (b.end - a.end) || (b.start - a.start))[0];
+  if (!latest) return { title: null, employer: null };
+  return { title: latest.entry.title || null, employer: latest.entry.employer || null };
+}
+
+// Highest first; abbreviations are case-sensitive so "MA" and "BE" don't match ordinary words
+const DEGREE_LEVELS = [
+  { label: 'Doctorate', words: /\b(?:ph\.?\s?d|doctorate|doctor of|dphil|promotion)\b/i, abbreviations: /\b(?:PhD|Dr\.? rer\. nat\.)/ },
+  { label: "Master's", words: /\b(?:master'?s?|diplom(?:-ingenieur)?|magister)\b/i, abbreviations: /\b(?:M\.?Sc|M\.S\.|MS|M\.A\.|MA|MBA|M\.?Tech|M\.?Eng|M\.E\.|MCA|M\.?Phil|LLM)\b/ },
+  { label: "Bachelor's", words: /\b(?:bachelor'?s?|licenciatura|licence)\b/i, abbreviations: /\b(?:B\.?Sc|B\.S\.|BS|B\.A\.|BA|B\.?Tech|B\.?Eng|B\.E\.|BE|BCA|B\.?Com|LLB)\b/ },
+  { label: 'Associate', words: /\bassociate'?s? degree\b/i, abbreviations: /\b(?:A\.A\.S?|AAS)\b/ },
+  { label: 'Diploma', words: /\b(?:diploma|higher national|hnd)\b/i, abbreviations: /\bHND\b/ },
+  { label: 'High school', words: /\b(?:high school|secondary school|a[- ]levels?|abitur|baccalaur[ée]at|12th|hsc)\b/i, abbreviations: /\bHSC\b/ }
+];
+
+// Education section lines, or degree-looking lines anywhere when there is no such section
+function highestDegree(sections, text) {
+  const lines = sections.education.length
+    ? sections.education.map(e => e.text)
+    : text.split('\n').filter(line => /\b(?:university|college|institute|school|degree|universit)/i.test(line));
+
+  const level = DEGREE_LEVELS.find(({ words, abbreviations }) =>
+    lines.some(line => words.test(line) || abbreviations.test(line)));
+  return level ? level.label : null;
+}
+
+function extractGithub(text) {
+  const match = text.match(githubRegex);
+  return match ? `https://github.com/${match[1]}` : null;
+}
+
+const PORTFOLIO_LABEL_REGEX = /\b(?:portfolio|website|web|blog|homepage)\s*[:\-–]\s*(\S+)/i;
+const NOT_PORTFOLIO_REGEX = /linkedin\.com|github\.com|(?:gmail|outlook|hotmail|yahoo|icloud)\.com|\.(?:pdf|docx?)$/i;
+
+// A labelled site anywhere, else the first personal-looking URL in the header
+function extractPortfolio(text, contactLines) {
+  const candidates = [
+    ...text.split('\n').map(line => (line.match(PORTFOLIO_LABEL_REGEX) || [])[1]).filter(Boolean),
+    ...contactLines.slice(0, 12).flatMap(line => line.match(urlRegex) || [])
+  ];
+
+  const url = candidates.map(c => c.replace(/[.)\]]+$/, '')).find(c => !NOT_PORTFOLIO_REGEX.test(c) && /\.[a-z]{2,}/i.test(c));
+  if (!url) return null;
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+// Known skills under their canonical names, then anything else the skills section lists
+function normaliseSkills(sections, text) {
+  const known = findSkills(text);
+  const seen = new Set(known.map(s => s.toLowerCase()));
+  const extra = sections.skills.filter(item => {
+    const key = item.toLowerCase();
+    if (seen.has(key) || findSkills(item).length || /\s\S+\s\S+\s/.test(item)) return false;
+    seen.add(key);
+    return true;
+  });
+  return [...known, ...extra];
+}
+
+function extractProfile(text, sections = parseResumeSections(text)) {
+  const ranges = experienceRanges(sections.experience);
+  const role = currentRole(ranges);
+
+  return {
+    location: extractLocation(sections.contact),
+    current_title: role.title,
+    current_employer: role.employer,
+    years_experience: yearsOfExperience(ranges),
+    highest_degree: highestDegree(sections, text),
+    github: extractGithub(text),
+    portfolio: extractPortfolio(text, sections.contact),
+    skills: normaliseSkills(sections, text)
+  };
 }
 
 /* ============================================================
 ENTITY EXTRACTION
 ============================================================ */
 
-async function extractEntities(text, resumeFileName) {
-  let name = await extractNameWithLLM(text, resumeFileName);
-  
+// With PII redaction on, nothing here reaches the provider: the name comes from the regex fallback.
+// email/phone hold the first of emails/phones ("—" when there are none).
+async function extractEntities(text, { useLLM = true, sections = parseResumeSections(text) } = {}) {
+  let name = useLLM ? await extractNameWithLLM(text) : null;
+
   if (!name) {
     name = extractNameRegex(text);
   }
 
   const linkedinMatch = text.match(linkedinRegex);
-  
+  const emails = [...new Map((text.match(emailRegex) || []).map(e => [e.toLowerCase(), e])).values()];
+  const profile = extractProfile(text, sections);
+  const phones = extractPhones(text, sections.contact, { location: profile.location });
+
   return {
     candidate_name: name || 'Unknown',
-    email: (text.match(emailRegex) || [])[0] || '—',
-    phone: extractPhones(text),
+    email: emails[0] || '—',
+    phone: phones[0] || '—',
     linkedin: linkedinMatch
       ? linkedinMatch[0].startsWith('http')
         ? linkedinMatch[0]
         : `https://${linkedinMatch[0]}`
-      : '—'
+      : '—',
+    emails,
+    phones,
+    ...profile
   };
 }
 
+
 /* ============================================================
-HELPERS
+DOCUMENT INGESTION (PDF, DOCX, RTF, HTML, TXT)
 ============================================================ */
 
-const truncate = (text, max = 2000) =>
-  text.length > max ? text.slice(0, max) : text;
+function documentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
 
-function extractJSON(text) {
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) throw new Error('LLM did not return valid JSON');
-  return JSON.parse(match[0]);
+function decodeTextBuffer(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.slice(2).toString('utf16le');
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    const swapped = Buffer.from(buffer.slice(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.slice(3).toString('utf8');
+
+  const utf8 = buffer.toString('utf8');
+  // Invalid UTF-8 means a legacy single-byte encoding (usually Windows-1252)
+  return utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
 }
 
-/* ============================================================
-IMPROVED MATCHING WITH DETAILED ANALYSIS
-============================================================ */
+function looksLikeText(text) {
+  if (!text.length) return false;
+  const sample = text.slice(0, 4000);
+  const control = (sample.match(/[\x00-\x08\x0E-\x1F]/g) || []).length;
+  return control / sample.length < 0.01;
+}
 
-async function scoreResumeWithLLM(resumeText, jdText) {
-  try {
-    // Provider-specific scoring system
-    let requestBody = {};
-    let headers = {
-      'Content-Type': 'application/json'
-    };
+// Sniff the real type from the first bytes; the extension is only a tie-breaker
+function detectDocumentType(buffer, fileName = '') {
+  const head = buffer.slice(0, 8);
+  const ext = path.extname(fileName).toLowerCase();
 
-const systemPrompt = `ATS scoring engine. Score CV vs JD (0-100).
+  if (head.slice(0, 5).toString('latin1') === '%PDF-') return 'pdf';
 
-RULES:
-- Skills (40%), Experience (30%), Role (20%), Education (10%)
-- DIFFERENT CVs = DIFFERENT scores
-- 80-95%: Perfect match
-- 50-70%: Partial  
-- 20-50%: Minimal
-- 0-20%: No match
+  if (head[0] === 0x50 && head[1] === 0x4B && head[2] === 0x03 && head[3] === 0x04) {
+    return buffer.includes('word/document.xml') ? 'docx' : 'zip';
+  }
 
-Return ONLY JSON (no other text):
-{
-  "match_score": 85,
-  "skills_match": "80%",
-  "seniority_fit": "Strong",
-  "summary": "2 sentences max"
-}`;
+  if (head.equals(Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]))) return 'ole';
 
+  const text = decodeTextBuffer(buffer.slice(0, 65536));
+  const start = text.replace(/^\s+/, '').slice(0, 512).toLowerCase();
 
-    const userPrompt = `Analyze this CV against the JD and provide a detailed matching score.
+  if (start.startsWith('{\\rtf')) return 'rtf';
+  if (!looksLikeText(text)) return 'unknown';
+  if (/^(<!doctype html|<html|<\?xml[^>]*>\s*<html)/.test(start) ||
+      ((ext === '.html' || ext === '.htm' || ext === '.doc') && /<(body|div|p|table|br)\b/.test(start))) {
+    return 'html';
+  }
+  if (/^<(body|div|p|h[1-6]|ul|table)\b/.test(start)) return 'html';
 
-RESUME:
-${resumeText}
+  return 'txt';
+}
 
-JOB DESCRIPTION:
-${jdText}
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', bull: '•', middot: '·', hellip: '…',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', reg: '®',
+  eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', iacute: 'í', oacute: 'ó',
+  uacute: 'ú', auml: 'ä', ouml: 'ö', uuml: 'ü', ccedil: 'ç', ntilde: 'ñ', szlig: 'ß'
+};
 
-Provide detailed analysis considering skill gaps, experience level, and role alignment.`;
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : m;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
 
-    if (PROVIDER === 'ANTHROPIC') {
-      headers['x-api-key'] = API_KEY;
-      headers['anthropic-version'] = '2023-06-01';
-      
-      requestBody = {
-        model: MODEL,
-        max_tokens: 500,
-        messages: [
-          { role: 'user', content: userPrompt }
-        ],
-        system: systemPrompt
-      };
-    } else {
-      // OpenAI-compatible format
-      headers['Authorization'] = `Bearer ${API_KEY}`;
-      
-      requestBody = {
-        model: MODEL,
-        temperature: 0.2,
-        max_tokens: 500,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ]
-      };
+function htmlToText(html) {
+  return decodeHtmlEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|head|noscript)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n• ')
+      .replace(/<\/(p|div|h[1-6]|li|tr|ul|ol|table|section|header|footer|article)>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, '\t')
+      .replace(/<[^>]+>/g, '')
+  );
+}
+
+// Groups whose content is formatting metadata, not document text
+const RTF_SKIP_GROUPS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable', 'rsidtbl', 'generator'];
+
+function rtfToText(rtf) {
+  let out = '';
+  let depth = 0;
+  let skipDepth = null;
+  let ucSkip = 1;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      depth++;
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      if (skipDepth !== null && depth === skipDepth) skipDepth = null;
+      depth--;
+      i++;
+      continue;
     }
 
-    const response = await rateLimitedFetch(
-      PROVIDER === 'ANTHROPIC'
-        ? 'https://api.anthropic.com/v1/messages'
-        : `${BASE_URL}/chat/completions`,
-      {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(requestBody)
+    if (ch === '\\') {
+      const next = rtf[i + 1];
+
+      // Escaped literal characters
+      if (next === '\\' || next === '{' || next === '}') {
+        if (skipDepth === null) out += next;
+        i += 2;
+        continue;
+      }
+      // Hex-encoded Windows-1252 byte
+      if (next === "'") {
+        if (skipDepth === null) out += Buffer.from([parseInt(rtf.substr(i + 2, 2), 16)]).toString('latin1');
+        i += 4;
+        continue;
+      }
+      // \* marks an ignorable destination
+      if (next === '*') {
+        if (skipDepth === null) skipDepth = depth;
+        i += 2;
+        continue;
       }
-    );
 
-    if (!response.ok) {
-      const err = await response.json();
-      throw new Error(err.error?.message || 'LLM request failed');
-    }
+      const m = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+      if (!m) {
+        i += 2;
+        continue;
+      }
 
-    const data = await response.json();
-    let content = '';
+      const [token, word, arg] = m;
+      i += token.length;
 
-    // Extract content based on provider
-    if (PROVIDER === 'ANTHROPIC') {
-      content = data.content[0].text;
-    } else {
-      content = data.choices[0].message.content;
+      if (skipDepth !== null) continue;
+
+      if (RTF_SKIP_GROUPS.includes(word)) {
+        skipDepth = depth;
+      } else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') {
+        out += '\n';
+      } else if (word === 'tab' || word === 'cell') {
+        out += '\t';
+      } else if (word === 'row') {
+        out += '\n';
+      } else if (word === 'uc') {
+        ucSkip = parseInt(arg, 10) || 0;
+      } else if (word === 'u') {
+        const code = parseInt(arg, 10);
+        out += String.fromCharCode(code < 0 ? code + 65536 : code);
+        // Skip the ANSI fallback character(s) that follow \uN
+        for (let k = 0; k < ucSkip && i < rtf.length; k++) {
+          i += rtf[i] === '\\' && rtf[i + 1] === "'" ? 4 : 1;
+        }
+      } else if (word === 'bullet') {
+        out += '•';
+      } else if (word === 'emdash') {
+        out += '—';
+      } else if (word === 'endash') {
+        out += '–';
+      }
+      continue;
     }
-    
-    const result = extractJSON(content);
-    
-    // Ensure score is between 0-100
-    result.match_score = Math.max(0, Math.min(100, parseInt(result.match_score) || 50));
-    
-    return result;
 
-  } catch (err) {
-    console.error('❌ LLM scoring error:', err.message);
-    throw err;
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (skipDepth === null) out += ch;
+    i++;
   }
+
+  return out;
+}
+
+function normalizeText(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ' ')
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// pdf-parse's own page renderer, keeping each page's text so image-only pages in a typed CV can be found
+async function readPdf(buffer) {
+  const pages = [];
+  const pagerender = pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(content => {
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    });
+  const data = await pdfParse(buffer, { pagerender });
+  return { ...data, pages };
+}
+
+// Returns { text, ocr }; ocr is null unless some pages had too thin a text layer and were OCR'd
+async function extractPdfText(buffer) {
+  let data;
+  try {
+    data = await readPdf(buffer);
+  } catch (err) {
+    if (err.name === 'PasswordException' || /password/i.test(err.message)) {
+      throw documentError('PDF is password-protected or encrypted', 'ENCRYPTED');
+    }
+    throw documentError(`Could not read PDF: ${err.message}`, 'CORRUPT');
+  }
+
+  // Checked per page: a scanned reference letter appended to a typed CV still needs OCR
+  const sparse = data.pages.filter(text => normalizeText(text).length < OCR_MIN_CHARS_PER_PAGE).length;
+  if (!sparse) return { text: data.text, ocr: null };
+
+  const density = normalizeText(data.text).length / Math.max(1, data.numpages);
+  const scanned = density < OCR_MIN_CHARS_PER_PAGE;
+
+  // Scoring a scan's empty text layer would quietly rank the candidate last
+  if (!OCR_ENABLED) {
+    if (!scanned) return { text: data.text, ocr: null };
+    throw documentError(`PDF looks scanned (about ${Math.round(density)} characters per page) and OCR is turned off`, 'IMAGE_ONLY');
+  }
+
+  let pages;
+  try {
+    pages = await ocrPdfPages(buffer);
+  } catch (err) {
+    if (!scanned) {
+      console.warn(`⚠️ OCR of ${sparse} sparse page(s) failed, using the text layer: ${err.message}`);
+      return { text: data.text, ocr: null };
+    }
+    throw documentError(`PDF looks scanned and OCR failed: ${err.message}`, err.code === 'OCR_UNAVAILABLE' ? err.code : 'OCR_FAILED');
+  }
+  if (!pages.some(p => p.ocr)) return { text: data.text, ocr: null };
+
+  const ocr = summariseOcr(pages);
+  console.log(`👁️ OCR read ${ocr.pages.length} page(s) at ${ocr.confidence}% confidence`);
+  return { text: pages.map(p => p.text).join('\n\n'), ocr };
+}
+
+async function extractDocxText(buffer) {
+  try {
+    return (await mammoth.extractRawText({ buffer })).value;
+  } catch (err) {
+    throw documentError(`Could not read DOCX: ${err.message}`, 'CORRUPT');
+  }
+}
+
+// Returns { type, text, normalized, ocr } or throws an Error with a per-file message and code
+async function extractDocumentText(file) {
+  const name = file.originalname || 'document';
+  const buffer = file.buffer;
+
+  if (!buffer || buffer.length === 0) {
+    throw documentError(`${name} is empty`, 'EMPTY');
+  }
+
+  const type = detectDocumentType(buffer, name);
+  let text;
+  let ocr = null;
+
+  switch (type) {
+    case 'pdf':
+      ({ text, ocr } = await extractPdfText(buffer));
+      break;
+    case 'docx':
+      text = await extractDocxText(buffer);
+      break;
+    case 'rtf':
+      text = rtfToText(decodeTextBuffer(buffer));
+      break;
+    case 'html':
+      text = htmlToText(decodeTextBuffer(buffer));
+      break;
+    case 'txt':
+      text = decodeTextBuffer(buffer);
+      break;
+    case 'ole':
+      // Encrypted Office files of every version are wrapped in an OLE container
+      if (buffer.includes(Buffer.from('EncryptedPackage', 'utf16le'))) {
+        throw documentError(`${name} is password-protected or encrypted`, 'ENCRYPTED');
+      }
+      throw documentError(`${name} is a legacy binary Word document; save it as DOCX or PDF`, 'UNSUPPORTED');
+    case 'zip':
+      throw documentError(`${name} is a ZIP archive, not a document`, 'UNSUPPORTED');
+    default:
+      throw documentError(`${name} is not a supported document type (PDF, DOCX, RTF, HTML or TXT)`, 'UNSUPPORTED');
+  }
+
+  const normalized = normalizeText(text || '');
+  if (!normalized) {
+    throw documentError(`${name} contains no extractable text`, 'EMPTY');
+  }
+
+  return { type, text, normalized, ocr };
+}
+
+/* ============================================================
+OCR FALLBACK (SCANNED AND IMAGE-ONLY PDFS)
+============================================================ */
+
+const OCR_ENABLED = String(process.env.OCR_ENABLED ?? 'true').toLowerCase() !== 'false';
+// A PDF (and, when re-read, a page) with less text than this is treated as an image
+const OCR_MIN_CHARS_PER_PAGE = Math.max(1, parseInt(process.env.OCR_MIN_CHARS_PER_PAGE, 10) || 200);
+const OCR_MAX_PAGES = Math.max(1, parseInt(process.env.OCR_MAX_PAGES, 10) || 10);
+const OCR_DPI = Math.max(72, parseInt(process.env.OCR_DPI, 10) || 200);
+const OCR_LANGS = String(process.env.OCR_LANGS || 'eng').split(/[,+\s]+/).filter(Boolean);
+// Results under this confidence are flagged for a manual check
+const OCR_LOW_CONFIDENCE = 60;
+
+// Language data ships with the app (@tesseract.js-data/eng); nothing is downloaded at run time.
+// OCR_LANG_PATH points at a folder of <lang>.traineddata.gz files for other languages.
+function ocrLangPath() {
+  if (process.env.OCR_LANG_PATH) return path.resolve(process.env.OCR_LANG_PATH);
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+let pdfjsLib = null;
+let ocrWorker = null;
+
+// pdfjs-dist is ESM-only
+const loadPdfjs = () => (pdfjsLib ??= import('pdfjs-dist/legacy/build/pdf.mjs'));
+
+// One worker for the process; tesseract queues its jobs, so pages are read one at a time
+function getOcrWorker() {
+  ocrWorker ??= (async () => {
+    const { createWorker, OEM } = require('tesseract.js');
+    const worker = await createWorker(OCR_LANGS.join('+'), OEM.LSTM_ONLY, {
+      langPath: ocrLangPath(),
+      gzip: true,
+      cacheMethod: 'none'
+    });
+    console.log(`✓ OCR ready (${OCR_LANGS.join('+')})`);
+    return worker;
+  })().catch(err => {
+    ocrWorker = null;
+    throw documentError(`OCR engine unavailable: ${err.message}`, 'OCR_UNAVAILABLE');
+  });
+  return ocrWorker;
+}
+
+async function closeOcr() {
+  if (!ocrWorker) return;
+  const worker = await ocrWorker.catch(() => null);
+  ocrWorker = null;
+  await worker?.terminate();
+}
+
+async function recognizePage(doc, page) {
+  const viewport = page.getViewport({ scale: OCR_DPI / 72 });
+  const target = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  try {
+    await page.render({ canvasContext: target.context, canvas: target.canvas, viewport }).promise;
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(target.canvas.toBuffer('image/png'));
+    return { text: data.text, confidence: Math.round(data.confidence) };
+  } finally {
+    doc.canvasFactory.destroy(target);
+  }
+}
+
+// Re-reads the PDF page by page: pages with a text layer keep it, image-only pages are OCR'd
+async function ocrPdfPages(buffer) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0 }).promise;
+  const pages = [];
+
+  try {
+    for (let number = 1; number <= doc.numPages; number++) {
+      const page = await doc.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('');
+
+      const ocrCount = pages.filter(p => p.ocr).length;
+      if (normalizeText(text).length >= OCR_MIN_CHARS_PER_PAGE || ocrCount >= OCR_MAX_PAGES) {
+        pages.push({ number, text });
+      } else {
+        pages.push({ number, ...await recognizePage(doc, page), ocr: true });
+      }
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return pages;
+}
+
+// Confidence is averaged over the OCR'd pages, weighted by how much text each gave
+function summariseOcr(pages) {
+  const read = pages.filter(p => p.ocr);
+  const weights = read.map(p => Math.max(1, normalizeText(p.text).length));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const confidence = Math.round(read.reduce((sum, p, i) => sum + p.confidence * weights[i], 0) / total);
+
+  return {
+    engine: 'tesseract',
+    languages: OCR_LANGS,
+    pages: read.map(p => p.number),
+    confidence,
+    low_confidence: confidence < OCR_LOW_CONFIDENCE
+  };
+}
+
+/* ============================================================
+ZIP ARCHIVES (BULK RESUME UPLOADS)
+============================================================ */
+
+// Job-board exports are expanded in memory; nothing is written to disk
+const ZIP_MAX_TOTAL_MB = Math.max(1, parseFloat(process.env.ZIP_MAX_TOTAL_MB) || 200);
+const ZIP_MAX_ENTRIES = 2000;
+// Real CVs compress a few times at most; far higher ratios mean a zip bomb
+const ZIP_MAX_RATIO = 100;
+const ZIP_ARCHIVE_EXTENSIONS = ['.zip'];
+const MB = 1024 * 1024;
+
+function isZipArchive(file) {
+  const buffer = file.buffer;
+  if (!(buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04)) return false;
+  return ZIP_ARCHIVE_EXTENSIONS.includes(path.extname(file.originalname || '').toLowerCase()) ||
+    detectDocumentType(buffer, file.originalname) === 'zip';
+}
+
+// Central directory only; local headers are read per entry
+function readZipEntries(buffer) {
+  // The end record is 22 bytes plus a comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw documentError('not a readable ZIP archive', 'ZIP_INVALID');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xFFFF || offset === 0xFFFFFFFF) throw documentError('ZIP64 archives are not supported', 'ZIP_INVALID');
+  if (count > ZIP_MAX_ENTRIES) throw documentError(`more than ${ZIP_MAX_ENTRIES} entries`, 'ZIP_REJECTED');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw documentError('corrupt central directory', 'ZIP_INVALID');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      // Without the UTF-8 flag names are CP437, close enough to Latin-1 for file names
+      name: name.toString(flags & 0x800 ? 'utf8' : 'latin1').replace(/\\/g, '/'),
+      encrypted: Boolean(flags & 0x1),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+function readZipEntry(buffer, entry) {
+  const header = entry.localOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) {
+    throw documentError(`${entry.name} has a corrupt header`, 'ZIP_INVALID');
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (data.length !== entry.compressedSize) throw documentError(`${entry.name} is truncated`, 'ZIP_INVALID');
+
+  // The declared size may lie, so inflation stops there instead of trusting it
+  let content;
+  try {
+    content = entry.method === 0 ? data : zlib.inflateRawSync(data, { maxOutputLength: entry.size });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw documentError(`${entry.name} expands past its declared size`, 'ZIP_REJECTED');
+    }
+    throw documentError(`${entry.name} could not be decompressed`, 'ZIP_INVALID');
+  }
+
+  if (content.length !== entry.size) throw documentError(`${entry.name} does not match its declared size`, 'ZIP_INVALID');
+  return Buffer.from(content);
+}
+
+// Folders and macOS/Windows metadata are skipped silently
+function isZipClutter(entryPath) {
+  return entryPath.endsWith('/') ||
+    entryPath.split('/').some(part => part === '__MACOSX' || /^\.[^.]/.test(part)) ||
+    /(^|\/)(thumbs\.db|desktop\.ini)$/i.test(entryPath);
+}
+
+function zipEntrySkipReason(entry) {
+  const parts = entry.name.split('/');
+  const ext = path.extname(entry.name).toLowerCase();
+
+  // Only the name is used, but a traversal path is never a real CV
+  if (entry.name.startsWith('/') || /^[a-z]:/i.test(entry.name) || parts.includes('..')) return 'unsafe path';
+  if (ZIP_ARCHIVE_EXTENSIONS.includes(ext)) return 'nested archive';
+  if (!UPLOAD_EXTENSIONS.includes(ext)) return 'not a document';
+  if (entry.encrypted) return 'encrypted';
+  if (entry.method !== 0 && entry.method !== 8) return 'unsupported compression method';
+  if (entry.size === 0) return 'empty file';
+  if (entry.size > UPLOAD_MAX_MB * MB) return `larger than ${UPLOAD_MAX_MB} MB`;
+  return null;
+}
+
+// Swaps each uploaded ZIP for the documents inside it, named by their archive path
+function expandResumeArchives(files) {
+  const expanded = [];
+  const skipped = [];
+  let budget = ZIP_MAX_TOTAL_MB * MB;
+
+  for (const file of files) {
+    if (!isZipArchive(file)) {
+      expanded.push(file);
+      continue;
+    }
+
+    const archive = file.originalname;
+    try {
+      for (const entry of readZipEntries(file.buffer)) {
+        if (isZipClutter(entry.name)) continue;
+
+        const reason = zipEntrySkipReason(entry);
+        if (reason) {
+          skipped.push({ archive, path: entry.name, reason });
+          continue;
+        }
+
+        if (entry.size / Math.max(1, entry.compressedSize) > ZIP_MAX_RATIO) {
+          throw documentError(`${entry.name} compresses more than ${ZIP_MAX_RATIO}:1, which looks like a zip bomb`, 'ZIP_REJECTED');
+        }
+        if (entry.size > budget) {
+          throw documentError(`uploaded archives expand to more than ${ZIP_MAX_TOTAL_MB} MB`, 'ZIP_REJECTED');
+        }
+        budget -= entry.size;
+
+        const buffer = readZipEntry(file.buffer, entry);
+        expanded.push({ originalname: `${archive}/${entry.name}`, buffer, size: buffer.length, archive });
+      }
+    } catch (err) {
+      throw documentError(`${archive}: ${err.message}`, err.code || 'ZIP_INVALID');
+    }
+  }
+
+  return { files: expanded, skipped };
+}
+
+// Runs after multer: archives may be larger than single documents, so sizes are checked here.
+// Only resume archives are expanded; anything else is held to the document limit.
+function expandUploads(req, res, next) {
+  const tooLarge = Object.entries(req.files || {})
+    .flatMap(([field, files]) => files.filter(file => !(field === 'resumes' && isZipArchive(file))))
+    .find(file => file.size > UPLOAD_MAX_MB * MB);
+  if (tooLarge) {
+    return res.status(413).json({ error: `${tooLarge.originalname} is larger than ${UPLOAD_MAX_MB} MB`, code: 'LIMIT_FILE_SIZE' });
+  }
+
+  if (!req.files?.resumes) return next();
+
+  let expanded;
+  try {
+    expanded = expandResumeArchives(req.files.resumes);
+  } catch (err) {
+    console.error('❌ Archive rejected:', err.message);
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+
+  const { files, skipped } = expanded;
+  if (skipped.length) console.log(`📦 Skipped ${skipped.length} archive entries`);
+
+  if (files.length === 0 && skipped.length) {
+    return res.status(400).json({ error: 'The uploaded archives contain no supported documents', skipped });
+  }
+  if (files.length > BATCH_MAX_RESUMES) {
+    return res.status(400).json({ error: `At most ${BATCH_MAX_RESUMES} resumes per batch (archives included); got ${files.length}` });
+  }
+
+  req.files.resumes = files;
+  req.skippedEntries = skipped;
+  next();
+}
+
+/* ============================================================
+RESUME SECTION PARSER
+============================================================ */
+
+// Heading aliases per section (matched against whole, short lines)
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'objective', 'career objective', 'about me', 'about', 'overview'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience', 'internships'],
+  education: ['education', 'academic background', 'academics', 'education and training', 'qualifications', 'academic qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'technologies', 'tools', 'tech stack', 'skills and tools'],
+  certifications: ['certifications', 'certification', 'certificates', 'licenses', 'licenses and certifications', 'courses', 'training'],
+  projects: ['projects', 'personal projects', 'key projects', 'academic projects', 'selected projects'],
+  other: ['languages', 'interests', 'hobbies', 'awards', 'achievements', 'publications', 'volunteering', 'references', 'additional information']
+};
+
+const HEADING_LOOKUP = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([section, names]) => names.map(n => [n, section]))
+);
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_POINT = `(?:${MONTH}\\s*\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4})`;
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_POINT})\\s*(?:-|–|—|to|until)\\s*(${DATE_POINT}|present|current|now|today|date)`, 'i');
+
+function headingFor(line) {
+  const key = line.toLowerCase().replace(/[:|•\-–—_*#]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!key || key.length > 40) return null;
+  return HEADING_LOOKUP.get(key) || null;
+}
+
+function splitList(lines) {
+  return [...new Set(
+    lines
+      .join('\n')
+      .split(/[,;|•·\n]|\s{2,}/)
+      .map(item => item.replace(/^[\s\-–*]+|[\s.]+$/g, '').replace(/^[^:]{1,30}:\s*/, ''))
+      .filter(item => item.length > 1 && item.length < 60)
+  )];
+}
+
+// "Senior Engineer, Acme AG  Jan 2018 - Present" -> { title, employer, start, end, details }
+const BULLET_REGEX = /^[•\-–*▪●]\s*/;
+const HEADER_SPLIT_REGEX = /\s*(?:,|\||\bat\b|@|\s[-–—]\s)\s*/;
+
+function parseExperience(lines) {
+  const entries = [];
+  let current = null;
+  let plainRun = 0; // consecutive non-bullet lines just pushed as details
+
+  lines.forEach(line => {
+    const range = line.match(DATE_RANGE_REGEX);
+
+    if (range) {
+      let headerParts = line.replace(range[0], '').replace(/[|,(\s\-–—]+$|^[|,)\s\-–—]+/g, '').trim()
+        .split(HEADER_SPLIT_REGEX).filter(Boolean);
+
+      // Dates on their own line belong to the (up to two) plain lines above: title, then employer
+      if (!headerParts.length && current && plainRun > 0) {
+        const take = Math.min(plainRun, 2);
+        headerParts = current.details.splice(-take, take).flatMap(l => l.split(HEADER_SPLIT_REGEX)).filter(Boolean);
+        if (!current.title && !current.details.length) entries.pop();
+      }
+
+      const [title, ...rest] = headerParts;
+      current = {
+        title: title || '',
+        employer: rest.join(', '),
+        start: range[1],
+        end: range[2],
+        details: []
+      };
+      entries.push(current);
+      plainRun = 0;
+      return;
+    }
+
+    plainRun = BULLET_REGEX.test(line) ? 0 : plainRun + 1;
+
+    if (!current) {
+      entries.push(current = { title: '', employer: '', start: null, end: null, details: [] });
+    }
+    current.details.push(line.replace(BULLET_REGEX, ''));
+  });
+
+  return entries.filter(e => e.title || e.details.length);
+}
+
+function parseEducation(lines) {
+  return lines.map(line => {
+    const year = (line.match(/\b(19|20)\d{2}\b(?!.*\b(19|20)\d{2}\b)/) || [])[0] || null;
+    return { text: line.replace(BULLET_REGEX, ''), year };
+  });
+}
+
+function parseResumeSections(text) {
+  const buckets = { contact: [], summary: [], experience: [], education: [], skills: [], certifications: [], projects: [], other: [] };
+  let current = 'contact';
+  let headingsFound = 0;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+      headingsFound++;
+      continue;
+    }
+
+    buckets[current].push(line);
+  }
+
+  // No recognisable headings: keep the top as contact and treat the rest as summary
+  if (headingsFound === 0) {
+    buckets.summary = buckets.contact.slice(5);
+    buckets.contact = buckets.contact.slice(0, 5);
+  }
+
+  return {
+    contact: buckets.contact,
+    summary: buckets.summary.join(' '),
+    experience: parseExperience(buckets.experience),
+    education: parseEducation(buckets.education),
+    skills: splitList(buckets.skills),
+    certifications: buckets.certifications.map(l => l.replace(BULLET_REGEX, '')),
+    projects: buckets.projects.map(l => l.replace(BULLET_REGEX, '')),
+    other: buckets.other
+  };
+}
+
+/* ============================================================
+TOKEN-BUDGETED SCORING VIEW
+============================================================ */
+
+const CHARS_PER_TOKEN = 4;
+const RESUME_TOKEN_BUDGET = parseInt(process.env.RESUME_TOKEN_BUDGET, 10) || 1500;
+const JD_TOKEN_BUDGET = parseInt(process.env.JD_TOKEN_BUDGET, 10) || 1000;
+
+const estimateTokens = text => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, Math.max(0, max - 1));
+  return cut.slice(0, cut.lastIndexOf(' ') > max * 0.8 ? cut.lastIndexOf(' ') : cut.length) + '…';
+}
+
+// Every job keeps its heading; bullet lines share what is left of the budget
+function renderExperience(entries, max) {
+  const headers = entries.map(e => {
+    const when = e.start ? ` | ${e.start} – ${e.end}` : '';
+    return `- ${[e.title, e.employer].filter(Boolean).join(' | ')}${when}`;
+  });
+
+  let remaining = max - headers.reduce((n, h) => n + h.length + 1, 0);
+  const perEntry = Math.max(0, Math.floor(remaining / Math.max(1, entries.length)));
+
+  return entries.map((e, i) => {
+    const details = clip(e.details.join(' '), perEntry);
+    return details ? `${headers[i]}\n  ${details}` : headers[i];
+  }).join('\n');
+}
+
+// Section texts in scoring priority order, then fitted to the budget
+function buildScoringView(sections, tokenBudget = RESUME_TOKEN_BUDGET) {
+  const parts = [
+    ['SUMMARY', sections.summary, 0.15],
+    ['SKILLS', sections.skills.join(', '), 0.15],
+    ['EXPERIENCE', sections.experience, 0.45],
+    ['EDUCATION', sections.education.map(e => `- ${e.text}`).join('\n'), 0.1],
+    ['CERTIFICATIONS', sections.certifications.map(c => `- ${c}`).join('\n'), 0.05],
+    ['PROJECTS', sections.projects.map(p => `- ${p}`).join('\n'), 0.07],
+    ['OTHER', sections.other.join('\n'), 0.03]
+  ].filter(([, content]) => content && content.length);
+
+  const budget = tokenBudget * CHARS_PER_TOKEN;
+  const fullLength = part => (part[0] === 'EXPERIENCE'
+    ? renderExperience(part[1], Infinity).length
+    : part[1].length);
+
+  // Short sections hand their unused share to the longer ones
+  const shareTotal = parts.reduce((n, p) => n + p[2], 0) || 1;
+  const allowance = new Map(parts.map(p => [p[0], Math.floor((p[2] / shareTotal) * budget)]));
+  let spare = 0;
+  parts.forEach(p => {
+    const extra = allowance.get(p[0]) - fullLength(p);
+    if (extra > 0) {
+      spare += extra;
+      allowance.set(p[0], fullLength(p));
+    }
+  });
+  const hungry = parts.filter(p => fullLength(p) > allowance.get(p[0]));
+  const hungryShare = hungry.reduce((n, p) => n + p[2], 0) || 1;
+  hungry.forEach(p => allowance.set(p[0], allowance.get(p[0]) + Math.floor((p[2] / hungryShare) * spare)));
+
+  return parts.map(([label, content]) => {
+    const max = allowance.get(label);
+    const body = label === 'EXPERIENCE' ? renderExperience(content, max) : clip(content, max);
+    return `${label}:\n${body}`;
+  }).join('\n\n');
+}
+
+/* ============================================================
+DETERMINISTIC SKILL MATCHING (NO LLM)
+============================================================ */
+
+// Canonical skill -> aliases (the canonical name itself only matches if listed).
+// Plain strings match case-insensitively on word boundaries; RegExp aliases are
+// used as-is (e.g. case-sensitive "Go").
+const SKILL_SYNONYMS = {
+  'JavaScript': ['javascript', 'js', 'ecmascript', 'es6'],
+  'TypeScript': ['typescript', 'ts'],
+  'Node.js': ['node.js', 'nodejs', 'node js', /\bNode\b/],
+  'React': ['react', 'react.js', 'reactjs'],
+  'Angular': ['angular', 'angularjs', 'angular.js'],
+  'Vue.js': ['vue', 'vue.js', 'vuejs'],
+  'Next.js': ['next.js', 'nextjs'],
+  'HTML': ['html', 'html5'],
+  'CSS': ['css', 'css3', 'scss', 'sass'],
+  'Python': ['python'],
+  'Django': ['django'],
+  'Flask': ['flask'],
+  'FastAPI': ['fastapi'],
+  'Java': ['java'],
+  'Spring': ['spring boot', 'springboot', 'spring framework', 'spring mvc'],
+  'Kotlin': ['kotlin'],
+  'Scala': ['scala'],
+  'C#': ['c#', 'csharp', 'c sharp'],
+  '.NET': ['.net', 'dotnet', 'asp.net', '.net core'],
+  'C++': ['c++', 'cpp'],
+  // Bare "C" only in a list ("C, C++" / "Python, C"), not initials
+  'C': ['c programming', 'ansi c', /(?<![\w.+#-])C(?![\w+#])(?=\s*(?:[,;\/)]|$))|(?<=[,;:\/(]\s*)C(?![\w+#.])/m],
+  'Go': ['golang', /\bGo\b/],
+  'Rust': ['rust'],
+  'Ruby': ['ruby'],
+  'Rails': ['rails', 'ruby on rails', 'ror'],
+  'PHP': ['php'],
+  'Laravel': ['laravel'],
+  'Swift': ['swift'],
+  'Objective-C': ['objective-c', 'objc'],
+  'SQL': ['sql'],
+  'PostgreSQL': ['postgresql', 'postgres', 'psql'],
+  'MySQL': ['mysql', 'mariadb'],
+  'SQL Server': ['sql server', 'mssql', 't-sql'],
+  'Oracle': ['oracle db', 'oracle database', 'pl/sql'],
+  'MongoDB': ['mongodb', 'mongo'],
+  'Redis': ['redis'],
+  'Elasticsearch': ['elasticsearch', 'elastic search', 'opensearch'],
+  'Kafka': ['kafka', 'apache kafka'],
+  'RabbitMQ': ['rabbitmq'],
+  'GraphQL': ['graphql'],
+  'REST APIs': ['restful', 'rest api', 'rest apis', 'rest services'],
+  'gRPC': ['grpc'],
+  'Microservices': ['microservices', 'micro-services', 'microservice'],
+  'Docker': ['docker', 'containers', 'containerization'],
+  'Kubernetes': ['kubernetes', 'k8s', 'eks', 'aks', 'gke'],
+  'Terraform': ['terraform', 'iac', 'infrastructure as code'],
+  'Ansible': ['ansible'],
+  'AWS': ['aws', 'amazon web services', 'ec2', 's3', 'lambda'],
+  'Azure': ['azure', 'microsoft azure'],
+  'GCP': ['gcp', 'google cloud', 'google cloud platform'],
+  'CI/CD': ['ci/cd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'],
+  'Jenkins': ['jenkins'],
+  'GitHub Actions': ['github actions'],
+  'GitLab CI': ['gitlab ci', 'gitlab-ci'],
+  'Git': ['git'],
+  'Linux': ['linux', 'unix'],
+  'Bash': ['bash', 'shell scripting'],
+  'Machine Learning': ['machine learning', 'ml'],
+  'Deep Learning': ['deep learning'],
+  'NLP': ['nlp', 'natural language processing'],
+  'LLMs': ['llm', 'llms', 'large language models'],
+  'TensorFlow': ['tensorflow'],
+  'PyTorch': ['pytorch'],
+  'scikit-learn': ['scikit-learn', 'sklearn'],
+  'Pandas': ['pandas'],
+  'NumPy': ['numpy'],
+  'Spark': ['spark', 'pyspark', 'apache spark'],
+  'Airflow': ['airflow'],
+  'Tableau': ['tableau'],
+  'Power BI': ['power bi', 'powerbi'],
+  'Excel': ['excel'],
+  'Agile': ['agile', 'scrum', 'kanban'],
+  'Jira': ['jira'],
+  'Figma': ['figma'],
+  'Android': ['android'],
+  'iOS': ['ios'],
+  'React Native': ['react native'],
+  'Flutter': ['flutter'],
+  'Selenium': ['selenium'],
+  'Jest': ['jest'],
+  'Cypress': ['cypress'],
+  'Embedded C': ['embedded c', 'embedded systems', 'firmware'],
+  'MATLAB': ['matlab'],
+  'Salesforce': ['salesforce'],
+  'SAP': ['sap']
+};
+
+// Optional JSON file with extra { "Skill": ["alias", ...] } entries
+function loadSkillSynonyms() {
+  const synonyms = { ...SKILL_SYNONYMS };
+  const file = process.env.SKILLS_FILE;
+  if (!file) return synonyms;
+
+  try {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [skill, aliases] of Object.entries(extra)) {
+      synonyms[skill] = [...(synonyms[skill] || []), ...aliases];
+    }
+    console.log(`✓ Loaded ${Object.keys(extra).length} custom skills from ${file}`);
+  } catch (err) {
+    console.warn(`⚠️ Could not load SKILLS_FILE ${file}:`, err.message);
+  }
+  return synonyms;
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const SKILL_MATCHERS = Object.entries(loadSkillSynonyms()).map(([skill, aliases]) => ({
+  skill,
+  patterns: aliases.map(alias => (alias instanceof RegExp
+    ? alias
+    : new RegExp(`(?<![A-Za-z0-9+#.])${escapeRegex(String(alias))}(?![A-Za-z0-9+#])`, 'i')))
+}));
+
+function findSkills(text) {
+  return SKILL_MATCHERS
+    .filter(({ patterns }) => patterns.some(p => p.test(text)))
+    .map(({ skill }) => skill);
+}
+
+// Lines after a "nice to have" style heading, or lines that say so themselves
+const NICE_TO_HAVE_REGEX = /nice[\s-]to[\s-]have|preferred|bonus|is a plus|\bplus\b|desirable|optional|advantage|good to have/i;
+const REQUIRED_REGEX = /requirements|required|must[\s-]have|qualifications|what you (?:bring|need)|you have|responsibilities|essential/i;
+
+function extractJdSkills(jdText) {
+  const required = new Set();
+  const nice = new Set();
+  let inNiceBlock = false;
+
+  for (const line of jdText.split('\n')) {
+    const isHeading = line.length < 60 && !/[.;]$/.test(line.trim());
+
+    if (isHeading && NICE_TO_HAVE_REGEX.test(line) && !findSkills(line).length) {
+      inNiceBlock = true;
+      continue;
+    }
+    if (isHeading && REQUIRED_REGEX.test(line) && !findSkills(line).length) {
+      inNiceBlock = false;
+      continue;
+    }
+
+    const target = inNiceBlock || NICE_TO_HAVE_REGEX.test(line) ? nice : required;
+    findSkills(line).forEach(skill => target.add(skill));
+  }
+
+  // A skill named as required anywhere stays required
+  required.forEach(skill => nice.delete(skill));
+
+  return { required: [...required], nice_to_have: [...nice] };
+}
+
+// Required skills carry 80% of the weight when the JD lists nice-to-haves too
+function scoreSkillCoverage(resumeText, jdSkills) {
+  const found = new Set(findSkills(resumeText));
+  const split = list => ({
+    matched: list.filter(s => found.has(s)),
+    missing: list.filter(s => !found.has(s))
+  });
+
+  const required = split(jdSkills.required);
+  const nice = split(jdSkills.nice_to_have);
+
+  let score = null;
+  if (jdSkills.required.length || jdSkills.nice_to_have.length) {
+    const reqCov = jdSkills.required.length ? required.matched.length / jdSkills.required.length : null;
+    const niceCov = jdSkills.nice_to_have.length ? nice.matched.length / jdSkills.nice_to_have.length : null;
+
+    if (reqCov !== null && niceCov !== null) score = 0.8 * reqCov + 0.2 * niceCov;
+    else score = reqCov ?? niceCov;
+    score = Math.round(score * 100);
+  }
+
+  return {
+    keyword_score: score,
+    matched_skills: [...required.matched, ...nice.matched],
+    missing_skills: required.missing,
+    missing_nice_to_have: nice.missing,
+    resume_skills: [...found]
+  };
+}
+
+// Weight of the keyword score in match_score (0 = LLM only, 1 = keywords only)
+const SCORE_BLEND = parseBlend(process.env.SCORE_BLEND, 0.3);
+
+function parseBlend(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return fallback;
+  // Accept 0-1 or a percentage
+  return Math.max(0, Math.min(1, n > 1 ? n / 100 : n));
+}
+
+function blendScores(llmScore, keywordScore, blend) {
+  if (keywordScore === null || keywordScore === undefined) return llmScore;
+  return Math.round((1 - blend) * llmScore + blend * keywordScore);
+}
+
+/* ============================================================
+JD REQUIREMENTS + EVIDENCE CHECKS
+============================================================ */
+
+const MAX_REQUIREMENTS = 10;
+const REQUIREMENT_STATUSES = ['met', 'partial', 'missing'];
+const EVIDENCE_MAX_LENGTH = 300;
+const CLOSE_MATCH_RATIO = 0.8;
+
+// Bullets anywhere, plus every line under a requirements / nice-to-have heading.
+// Required lines come first; falls back to the JD's required skills when nothing looks like a list.
+function extractJdRequirements(jdText) {
+  const required = [];
+  const nice = [];
+  let block = null;
+
+  for (const raw of jdText.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const isHeading = line.length < 60 && !/[.;]$/.test(line) && !BULLET_REGEX.test(line);
+    if (isHeading && NICE_TO_HAVE_REGEX.test(line) && !findSkills(line).length) {
+      block = 'nice';
+      continue;
+    }
+    if (isHeading && REQUIRED_REGEX.test(line) && !findSkills(line).length) {
+      block = 'required';
+      continue;
+    }
+    if (isHeading && headingFor(line)) {
+      block = null;
+      continue;
+    }
+
+    const text = line.replace(BULLET_REGEX, '').trim();
+    if (text.length < 12 || text.length > 220) continue;
+    if (!block && !BULLET_REGEX.test(line)) continue;
+
+    (block === 'nice' || NICE_TO_HAVE_REGEX.test(text) ? nice : required).push(text);
+  }
+
+  const seen = new Set();
+  const requirements = [
+    ...required.map(text => ({ text, nice_to_have: false })),
+    ...nice.map(text => ({ text, nice_to_have: true }))
+  ].filter(r => !seen.has(r.text.toLowerCase()) && seen.add(r.text.toLowerCase()));
+
+  if (!requirements.length) {
+    return extractJdSkills(jdText).required.slice(0, MAX_REQUIREMENTS).map(skill => ({ text: skill, nice_to_have: false }));
+  }
+  return requirements.slice(0, MAX_REQUIREMENTS);
+}
+
+// Lower-case, straight quotes, single spaces; `index` maps each character back to the source
+function normaliseForMatch(text) {
+  let normalised = '';
+  const index = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i].toLowerCase();
+    if (/[‘’`]/.test(c)) c = "'";
+    else if (/[“”]/.test(c)) c = '"';
+    else if (/[–—]/.test(c)) c = '-';
+    else if (/\s/.test(c)) c = ' ';
+
+    if (c === ' ' && (!normalised.length || normalised.endsWith(' '))) continue;
+    normalised += c;
+    index.push(i);
+  }
+  return { normalised, index };
+}
+
+const matchTokens = text => text.toLowerCase().match(/[\p{L}\p{N}+#.]+/gu) || [];
+
+// The quote as it appears in one of the sources, or the closest source line
+// when most of its words are there; null when the model made it up
+function findEvidence(quote, sources) {
+  const parts = String(quote || '')
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .split(/\.\.\.|…/)
+    .map(part => part.replace(BULLET_REGEX, '').trim())
+    .filter(part => part.length >= 3);
+  if (!parts.length) return null;
+
+  for (const source of sources) {
+    const { normalised, index } = normaliseForMatch(source);
+    const excerpts = [];
+    let from = 0;
+
+    for (const part of parts) {
+      const needle = normaliseForMatch(part).normalised;
+      const at = normalised.indexOf(needle, from);
+      if (at === -1) break;
+      excerpts.push(source.slice(index[at], index[at + needle.length - 1] + 1));
+      from = at + needle.length;
+    }
+    if (excerpts.length === parts.length) return { text: excerpts.join(' … '), match: 'exact' };
+  }
+
+  const wanted = matchTokens(parts.join(' '));
+  if (wanted.length < 3) return null;
+
+  let best = null;
+  for (const source of sources) {
+    for (const line of source.split(/\n|(?<=[.!?])\s+/)) {
+      const have = new Set(matchTokens(line));
+      const ratio = wanted.filter(token => have.has(token)).length / wanted.length;
+      if (ratio >= CLOSE_MATCH_RATIO && (!best || ratio > best.ratio)) best = { ratio, line: line.trim() };
+    }
+  }
+  return best ? { text: clip(best.line.replace(BULLET_REGEX, ''), EVIDENCE_MAX_LENGTH), match: 'close' } : null;
+}
+
+// Pairs the model's per-requirement verdicts with the JD text and keeps only evidence found in the resume
+function verifyRequirements(requirements, checks = [], sources) {
+  return requirements.map((requirement, i) => {
+    const check = checks[i] || {};
+    const found = check.evidence ? findEvidence(check.evidence, sources) : null;
+
+    return {
+      requirement: requirement.text,
+      nice_to_have: requirement.nice_to_have,
+      status: check.status || 'missing',
+      evidence: found ? found.text : null,
+      evidence_match: found ? found.match : null,
+      ...(check.evidence && !found && { unverified_quote: check.evidence })
+    };
+  });
+}
+
+// Requirements the candidate only partly meets or misses, required ones first
+function requirementGaps(checked) {
+  return checked
+    .filter(r => r.status !== 'met')
+    .sort((a, b) => (a.nice_to_have - b.nice_to_have) || (REQUIREMENT_STATUSES.indexOf(b.status) - REQUIREMENT_STATUSES.indexOf(a.status)))
+    .map(r => `${r.requirement}${r.status === 'partial' ? ' (partial)' : ''}${r.nice_to_have ? ' (nice to have)' : ''}`);
+}
+
+/* ============================================================
+HELPERS
+============================================================ */
+
+const truncate = (text, max = 2000) =>
+  text.length > max ? text.slice(0, max) : text;
+
+/* ============================================================
+STRUCTURED OUTPUT (SCHEMA, REPAIR, RETRY)
+============================================================ */
+
+const FIT_LEVELS = ['Strong', 'Medium', 'Weak'];
+
+// Declared shape of a scoring reply; validateAgainstSchema() coerces what it safely can
+// One 0-100 sub-score per rubric criterion, one true/false per must-have,
+// one verdict + resume quote per JD requirement
+function buildScoreSchema(rubric, requirements = []) {
+  return {
+    criteria: {
+      type: 'object',
+      required: true,
+      properties: Object.fromEntries(rubric.criteria.map(c => [c.key, { type: 'integer', min: 0, max: 100, required: true }]))
+    },
+    ...(rubric.must_haves.length
+      ? { must_haves: { type: 'array', length: rubric.must_haves.length, items: { type: 'boolean' }, required: true } }
+      : {}),
+    ...(requirements.length
+      ? {
+        requirements: {
+          type: 'array',
+          length: requirements.length,
+          items: {
+            type: 'object',
+            properties: {
+              status: { type: 'enum', values: REQUIREMENT_STATUSES, required: true },
+              evidence: { type: 'string', maxLength: EVIDENCE_MAX_LENGTH }
+            }
+          },
+          required: true
+        }
+      }
+      : {}),
+    skills_match: { type: 'percent', required: true },
+    experience_fit: { type: 'enum', values: FIT_LEVELS, required: true },
+    seniority_fit: { type: 'enum', values: FIT_LEVELS, required: true },
+    summary: { type: 'string', minLength: 1, maxLength: 600, required: true }
+  };
+}
+
+const NAME_SCHEMA = {
+  name: { type: 'string', minLength: 1, maxLength: 80, required: true }
+};
+
+const LLM_MAX_RETRIES = Math.max(0, parseInt(process.env.LLM_MAX_RETRIES, 10) || 2);
+
+// First balanced {...} block, ignoring braces inside strings
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let quote = '';
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === quote) inString = false;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      inString = true;
+      quote = ch;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+
+  // Truncated reply: close whatever is still open
+  return text.slice(start) + (inString ? quote : '') + '}'.repeat(depth);
+}
+
+function repairJson(text) {
+  return text
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/\/\/[^\n"]*$/gm, '')
+    .replace(/'([^'"\\]*)'/g, '"$1"')
+    .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+    .replace(/,\s*([}\]])/g, '$1');
+}
+
+// Returns { value, repaired } or throws when no JSON object can be recovered
+function parseLLMJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+  const candidate = findJsonObject(cleaned);
+  if (!candidate) throw new Error('LLM did not return valid JSON');
+
+  try {
+    return { value: JSON.parse(candidate), repaired: false };
+  } catch {
+    try {
+      return { value: JSON.parse(repairJson(candidate)), repaired: true };
+    } catch (err) {
+      throw new Error(`LLM returned malformed JSON: ${err.message}`);
+    }
+  }
+}
+
+function validateAgainstSchema(raw, schema) {
+  const value = {};
+  const errors = [];
+  let coerced = false;
+
+  for (const [key, rule] of Object.entries(schema)) {
+    let v = raw?.[key];
+
+    if (v === undefined || v === null || v === '') {
+      if (rule.required) errors.push(`${key} is required`);
+      continue;
+    }
+
+    switch (rule.type) {
+      case 'integer': {
+        const n = typeof v === 'number' ? v : parseFloat(String(v).replace('%', ''));
+        if (!Number.isFinite(n)) {
+          errors.push(`${key} must be a number`);
+          continue;
+        }
+        if (n < rule.min || n > rule.max) {
+          errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+          continue;
+        }
+        if (typeof v !== 'number' || !Number.isInteger(v)) coerced = true;
+        v = Math.round(n);
+        break;
+      }
+      case 'percent': {
+        const n = parseFloat(String(v));
+        if (!Number.isFinite(n) || n < 0 || n > 100) {
+          errors.push(`${key} must be a percentage between 0% and 100%`);
+          continue;
+        }
+        const formatted = `${Math.round(n)}%`;
+        if (formatted !== v) coerced = true;
+        v = formatted;
+        break;
+      }
+      case 'enum': {
+        const match = rule.values.find(option => option.toLowerCase() === String(v).trim().toLowerCase());
+        if (!match) {
+          errors.push(`${key} must be one of ${rule.values.join('/')}`);
+          continue;
+        }
+        if (match !== v) coerced = true;
+        v = match;
+        break;
+      }
+      case 'boolean': {
+        const text = String(v).trim().toLowerCase();
+        if (typeof v === 'boolean') break;
+        if (!['true', 'false', 'yes', 'no'].includes(text)) {
+          errors.push(`${key} must be true or false`);
+          continue;
+        }
+        coerced = true;
+        v = text === 'true' || text === 'yes';
+        break;
+      }
+      case 'object': {
+        const nested = validateAgainstSchema(typeof v === 'object' ? v : {}, rule.properties);
+        if (nested.errors.length) {
+          errors.push(...nested.errors.map(e => `${key}.${e}`));
+          continue;
+        }
+        coerced = coerced || nested.coerced;
+        v = nested.value;
+        break;
+      }
+      case 'array': {
+        if (!Array.isArray(v) || (rule.length !== undefined && v.length !== rule.length)) {
+          errors.push(`${key} must be an array of ${rule.length} ${rule.items.type} values`);
+          continue;
+        }
+        const items = v.map(item => validateAgainstSchema({ item }, { item: { ...rule.items, required: true } }));
+        const itemErrors = items.flatMap((item, i) => item.errors.map(e => `${key}[${i}]${e.slice('item'.length)}`));
+        if (itemErrors.length) {
+          errors.push(...itemErrors);
+          continue;
+        }
+        coerced = coerced || items.some(item => item.coerced);
+        v = items.map(item => item.value.item);
+        break;
+      }
+      case 'string': {
+        if (typeof v !== 'string') {
+          coerced = true;
+          v = String(v);
+        }
+        v = v.trim();
+        if (v.length < (rule.minLength || 0)) {
+          errors.push(`${key} must not be empty`);
+          continue;
+        }
+        if (rule.maxLength && v.length > rule.maxLength) {
+          coerced = true;
+          v = v.slice(0, rule.maxLength);
+        }
+        break;
+      }
+    }
+
+    value[key] = v;
+  }
+
+  return { value, errors, coerced };
+}
+
+function describeSchema(schema, indent = '') {
+  return Object.entries(schema).map(([key, rule]) => {
+    if (rule.type === 'object') return `${indent}- ${key}: object with fields\n${describeSchema(rule.properties, `${indent}  `)}`;
+    if (rule.type === 'array' && rule.items.type === 'object') {
+      return `${indent}- ${key}: array of exactly ${rule.length} objects with fields\n${describeSchema(rule.items.properties, `${indent}  `)}`;
+    }
+    if (rule.type === 'array') return `${indent}- ${key}: array of exactly ${rule.length} ${rule.items.type} values`;
+    if (rule.type === 'boolean') return `${indent}- ${key}: true or false`;
+    if (rule.type === 'integer') return `${indent}- ${key}: integer ${rule.min}-${rule.max}`;
+    if (rule.type === 'percent') return `${indent}- ${key}: percentage string such as "80%"`;
+    if (rule.type === 'enum') return `${indent}- ${key}: one of ${rule.values.map(v => `"${v}"`).join(', ')}`;
+    return `${indent}- ${key}: string${rule.maxLength ? ` (max ${rule.maxLength} characters)` : ''}`;
+  }).join('\n');
+}
+
+// Ask, repair locally, then re-ask up to LLM_MAX_RETRIES times with the errors.
+// validation.status: valid | repaired | retried | invalid
+async function callLLMStructured({ schema, system, user, maxTokens, temperature, task, input }) {
+  let prompt = user;
+  let lastErrors = [];
+  let raw = '';
+  const history = [];
+
+  for (let attempt = 1; attempt <= LLM_MAX_RETRIES + 1; attempt++) {
+    raw = await callLLM({ system, user: prompt, maxTokens, temperature, jsonMode: true, task, input });
+
+    try {
+      const parsed = parseLLMJson(raw);
+      const { value, errors, coerced } = validateAgainstSchema(parsed.value, schema);
+
+      if (errors.length === 0) {
+        const status = attempt > 1 ? 'retried' : parsed.repaired || coerced ? 'repaired' : 'valid';
+        return { value, raw, validation: { status, attempts: attempt, errors: history } };
+      }
+      lastErrors = errors;
+    } catch (err) {
+      lastErrors = [err.message];
+    }
+    history.push(...lastErrors.map(e => `attempt ${attempt}: ${e}`));
+
+    if (attempt <= LLM_MAX_RETRIES) {
+      console.warn(`⚠️ Invalid LLM reply (${lastErrors.join('; ')}), re-asking (${attempt}/${LLM_MAX_RETRIES})`);
+      prompt = `${user}
+
+Your previous reply was rejected:
+${lastErrors.map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY a JSON object with these fields:
+${describeSchema(schema)}`;
+    }
+  }
+
+  const err = new Error(`LLM output failed validation: ${lastErrors.join('; ')}`);
+  err.validation = { status: 'invalid', attempts: LLM_MAX_RETRIES + 1, errors: history };
+  err.raw = raw;
+  throw err;
+}
+
+/* ============================================================
+IMPROVED MATCHING WITH DETAILED ANALYSIS
+============================================================ */
+
+// The exact messages scoreResumeWithLLM sends; the CLI's dry run prints them
+function buildScorePrompts(resumeText, jdText, rubric = DEFAULT_RUBRIC, { blind = false, requirements = [] } = {}) {
+  const blindRules = blind
+    ? '\n- The CV is anonymised: placeholders like [CANDIDATE] or [UNIVERSITY] are intentional. Do not guess what they hide, and do not reward or penalise demographics or institution prestige'
+    : '';
+  const requirementRules = requirements.length
+    ? `\nREQUIREMENTS (status "met", "partial" or "missing" for each, in this order, with evidence copied word for word from the RESUME; "" when missing):\n${requirements.map((r, i) => `${i + 1}. ${r.text}`).join('\n')}\n`
+    : '';
+  const mustHaveRules = rubric.must_haves.length
+    ? `\nMUST-HAVES (true/false for each, in this order):\n${rubric.must_haves.map((m, i) => `${i + 1}. ${m}`).join('\n')}\n`
+    : '';
+
+  const systemPrompt = `ATS scoring engine. Score CV vs JD on each criterion (0-100).
+
+CRITERIA (weight):
+${rubric.criteria.map(c => `- ${c.key}: ${c.label} (${c.weight}%)${c.description ? ` - ${c.description}` : ''}`).join('\n')}
+${mustHaveRules}${requirementRules}
+RULES:
+- DIFFERENT CVs = DIFFERENT scores${blindRules}
+${describeBands(rubric.bands)}
+
+Return ONLY JSON (no other text):
+{
+  "criteria": { ${rubric.criteria.map(c => `"${c.key}": 85`).join(', ')} },${rubric.must_haves.length ? `\n  "must_haves": [${rubric.must_haves.map(() => 'true').join(', ')}],` : ''}${requirements.length ? `\n  "requirements": [${requirements.map(() => '{ "status": "met", "evidence": "exact resume quote" }').join(', ')}],` : ''}
+  "skills_match": "80%",
+  "experience_fit": "Strong",
+  "seniority_fit": "Strong",
+  "summary": "2 sentences max"
+}
+
+experience_fit and seniority_fit must be exactly "Strong", "Medium" or "Weak".`;
+
+
+  const userPrompt = `Analyze this CV against the JD and provide a detailed matching score.
+
+RESUME:
+${resumeText}
+
+JOB DESCRIPTION:
+${jdText}
+
+Provide detailed analysis considering skill gaps, experience level, and role alignment.`;
+
+  return { system: systemPrompt, user: userPrompt, maxTokens: 500 + 80 * requirements.length };
+}
+
+async function scoreResumeWithLLM(resumeText, jdText, rubric = DEFAULT_RUBRIC, { blind = false, requirements = [] } = {}) {
+  try {
+    const { system, user, maxTokens } = buildScorePrompts(resumeText, jdText, rubric, { blind, requirements });
+
+    const { value, raw, validation } = await callLLMStructured({
+      schema: buildScoreSchema(rubric, requirements),
+      system,
+      user,
+      maxTokens,
+      temperature: 0.2,
+      task: 'score',
+      input: { resumeText, jdText, rubric, requirements }
+    });
+
+    const { criteria, must_haves, ...rest } = value;
+    return { ...rest, ...applyRubric(rubric, value), validation, raw };
+
+  } catch (err) {
+    console.error('❌ LLM scoring error:', err.message);
+    throw err;
+  }
+}
+
+/* ============================================================
+FILE-BACKED STORES (JSON DOCUMENTS UNDER DATA_DIR)
+============================================================ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Write to a temp file first so a crash never leaves half a document on disk. Every write
+// has its own temp file: two resumes with the same hash in one batch write the same key at once.
+async function writeFileAtomic(file, content) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, content);
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+async function writeJsonAtomic(file, data) {
+  await writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+// One JSON file per document in DATA_DIR/<name>, keyed by a UUID id (or ids matching idPattern)
+function createJsonStore(name, { idPattern = STORE_ID_PATTERN } = {}) {
+  const dir = path.join(DATA_DIR, name);
+  const fileFor = id => path.join(dir, `${id}.json`);
+
+  return {
+    dir,
+
+    async load(id) {
+      if (!idPattern.test(String(id))) return null;
+
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async save(doc) {
+      doc.updated_at = new Date().toISOString();
+      await writeJsonAtomic(fileFor(doc.id), doc);
+      return doc;
+    },
+
+    async remove(id) {
+      if (!idPattern.test(String(id))) return false;
+
+      try {
+        await fs.promises.unlink(fileFor(id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    // Newest first
+    async list() {
+      let files = [];
+      try {
+        files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      const docs = [];
+      for (const file of files) {
+        try {
+          docs.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+        } catch (err) {
+          console.warn(`⚠️ Skipping unreadable ${name} document ${file}:`, err.message);
+        }
+      }
+
+      return docs.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+  };
+}
+
+/* ============================================================
+CONTENT-HASH CACHE (PARSED TEXT, ENTITIES, SCORES)
+============================================================ */
+
+const CACHE_BACKENDS = ['memory', 'disk', 'off'];
+const CACHE_BACKEND = CACHE_BACKENDS.includes(String(process.env.CACHE_BACKEND).toLowerCase())
+  ? String(process.env.CACHE_BACKEND).toLowerCase()
+  : 'memory';
+const CACHE_TTL_HOURS = Math.max(0, parseFloat(process.env.CACHE_TTL_HOURS ?? 168) || 0);
+const CACHE_MAX_ENTRIES = Math.max(1, parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 2000);
+const CACHE_MAX_MB = Math.max(1, parseFloat(process.env.CACHE_MAX_MB) || 100);
+
+// Bump when the scoring prompt or result shape changes so old scores are not reused
+const SCORE_PROMPT_VERSION = 'score-v4';
+
+const cacheKey = (...parts) => crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+// LRU map with a TTL and entry/byte limits. The disk backend also writes each entry to
+// DATA_DIR/cache/<name>/<key>.json so it survives restarts; the file's mtime is its age.
+function createCache(name) {
+  const dir = path.join(DATA_DIR, 'cache', name);
+  const ttlMs = CACHE_TTL_HOURS * 3600 * 1000;
+  const maxBytes = CACHE_MAX_MB * 1024 * 1024;
+  const disk = CACHE_BACKEND === 'disk';
+  const fileFor = key => path.join(dir, `${key}.json`);
+
+  // key -> { value, bytes, storedAt }; value is undefined until a disk entry is first read
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+  let bytes = 0;
+
+  const expired = entry => ttlMs > 0 && Date.now() - entry.storedAt > ttlMs;
+
+  function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.bytes;
+    if (disk) fs.promises.unlink(fileFor(key)).catch(() => {});
+  }
+
+  function enforceLimits() {
+    for (const key of entries.keys()) {
+      if (entries.size <= CACHE_MAX_ENTRIES && bytes <= maxBytes) break;
+      drop(key);
+      stats.evictions++;
+    }
+  }
+
+  // Index what a previous process left on disk, oldest first
+  const ready = !disk ? Promise.resolve() : (async () => {
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const found = [];
+    for (const file of files) {
+      const stat = await fs.promises.stat(path.join(dir, file));
+      found.push({ key: file.slice(0, -'.json'.length), bytes: stat.size, storedAt: stat.mtimeMs });
+    }
+
+    found.sort((a, b) => a.storedAt - b.storedAt).forEach(({ key, ...entry }) => {
+      entries.set(key, entry);
+      bytes += entry.bytes;
+    });
+    enforceLimits();
+  })().catch(err => console.warn(`⚠️ Could not index ${name} cache:`, err.message));
+
+  return {
+    name,
+
+    async get(key) {
+      if (CACHE_BACKEND === 'off') return undefined;
+      await ready;
+
+      const entry = entries.get(key);
+      if (!entry || expired(entry)) {
+        if (entry) drop(key);
+        stats.misses++;
+        return undefined;
+      }
+
+      if (entry.value === undefined) {
+        try {
+          entry.value = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        } catch {
+          drop(key);
+          stats.misses++;
+          return undefined;
+        }
+      }
+
+      // Most recently used goes to the back of the eviction queue
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    async set(key, value) {
+      if (CACHE_BACKEND === 'off') return;
+      await ready;
+
+      const json = JSON.stringify(value);
+      drop(key);
+      entries.set(key, { value, bytes: Buffer.byteLength(json), storedAt: Date.now() });
+      bytes += Buffer.byteLength(json);
+      enforceLimits();
+
+      if (disk && entries.has(key)) await writeFileAtomic(fileFor(key), json);
+    },
+
+    async purge() {
+      await ready;
+      const removed = entries.size;
+      [...entries.keys()].forEach(drop);
+      return removed;
+    },
+
+    async list() {
+      await ready;
+      return [...entries].map(([key, entry]) => ({
+        key,
+        bytes: entry.bytes,
+        stored_at: new Date(entry.storedAt).toISOString(),
+        expires_at: ttlMs > 0 ? new Date(entry.storedAt + ttlMs).toISOString() : null,
+        expired: expired(entry)
+      }));
+    },
+
+    async stats() {
+      await ready;
+      return { entries: entries.size, bytes, ...stats };
+    }
+  };
+}
+
+// text: extracted document text by file hash
+// entities: name/contacts by file hash + model
+// scores: LLM score by file hash + JD + rubric + model + prompt version
+const caches = {
+  text: createCache('text'),
+  entities: createCache('entities'),
+  scores: createCache('scores')
+};
+
+// Look up, or compute and store. Errors are never cached.
+async function cached(cache, key, compute) {
+  const hit = await cache.get(key);
+  if (hit !== undefined) return { value: hit, hit: true };
+
+  const value = await compute();
+  await cache.set(key, value);
+  return { value, hit: false };
+}
+
+app.get('/api/cache', async (req, res) => {
+  try {
+    const namespaces = {};
+    for (const [name, cache] of Object.entries(caches)) namespaces[name] = await cache.stats();
+
+    res.json({
+      backend: CACHE_BACKEND,
+      ttl_hours: CACHE_TTL_HOURS,
+      max_entries: CACHE_MAX_ENTRIES,
+      max_mb: CACHE_MAX_MB,
+      prompt_version: SCORE_PROMPT_VERSION,
+      namespaces
+    });
+  } catch (err) {
+    console.error('❌ Cache stats error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/cache/:name', async (req, res) => {
+  try {
+    const cache = caches[req.params.name];
+    if (!cache) return res.status(404).json({ error: `Unknown cache: ${req.params.name}` });
+    res.json({ name: cache.name, entries: await cache.list() });
+  } catch (err) {
+    console.error('❌ Cache list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cache purges everything, DELETE /api/cache/scores one namespace
+app.delete('/api/cache/:name?', async (req, res) => {
+  try {
+    const names = req.params.name ? [req.params.name] : Object.keys(caches);
+    if (names.some(name => !caches[name])) return res.status(404).json({ error: `Unknown cache: ${req.params.name}` });
+
+    const purged = {};
+    for (const name of names) purged[name] = await caches[name].purge();
+
+    console.log(`🧹 Cache purged: ${JSON.stringify(purged)}`);
+    res.json({ purged });
+  } catch (err) {
+    console.error('❌ Cache purge error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+PII REDACTION (BEFORE TEXT LEAVES FOR THE LLM PROVIDER)
+============================================================ */
+
+// PII_REDACTION: off (default), all, or the providers to redact for, e.g. "openai,anthropic"
+const PII_CATEGORIES = ['email', 'phone', 'profile_url', 'address', 'dob', 'national_id', 'photo'];
+const PII_REDACTION = String(process.env.PII_REDACTION || 'off').toLowerCase().split(',').map(p => p.trim()).filter(Boolean);
+const PII_REDACTION_CATEGORIES = process.env.PII_REDACTION_CATEGORIES
+  ? process.env.PII_REDACTION_CATEGORIES.toLowerCase().split(',').map(c => c.trim()).filter(c => PII_CATEGORIES.includes(c))
+  : PII_CATEGORIES;
+const PII_AUDIT_FILE = path.join(DATA_DIR, 'audit', 'pii-redactions.ndjson');
+
+function piiRedactionActive(provider = llmAdapter.name) {
+  return !PII_REDACTION.includes('off') && (PII_REDACTION.includes('all') || PII_REDACTION.includes(provider));
+}
+
+const DOB_DATE = `(?:\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}\\s+\\d{4}|${MONTH}\\s+\\d{1,2},?\\s+\\d{4})`;
+const ADDRESS_TAIL = '(?:,\\s*[^\\n|•,.;\\[]+){0,3}'; // ", London NW1 6XE"
+const STREET_TYPES = 'Street|St\\.?|Road|Rd\\.?|Avenue|Ave\\.?|Lane|Ln\\.?|Drive|Dr\\.?|Boulevard|Blvd\\.?|Way|Court|Ct\\.?|Place|Pl\\.?|Terrace|Close|Crescent|Square';
+
+// Order matters: IDs and birth dates go before phones so their digits are not read as numbers to call.
+// Each rule masks the `value` group, or the whole match when there is none.
+const PII_RULES = [
+  { category: 'photo', regex: /!\[[^\]]*\]\([^)]*\)|\[(?:image|photo|picture)\b[^\]]*\]|^(?:photo|picture|image|alt)\s*[:-].*$/gim },
+  { category: 'email', regex: emailRegex },
+  { category: 'profile_url', regex: linkedinRegex },
+  { category: 'national_id', regex: /\b\d{3}-\d{2}-\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b|\b\d{4}\s\d{4}\s\d{4}\b|\b[A-Z]{5}\d{4}[A-Z]\b|\b[XYZ]?\d{7,8}-?[A-Z]\b/g },
+  { category: 'national_id', regex: /\b(?:passport|national id|id card|id no|id number|ssn|social security(?: number)?|ni number|national insurance(?: number)?|aadhaa?r|pan|dni|nie|nif|personalausweis|codice fiscale|tax id|tin)\b\.?\s*(?:no\.?|number|#)?\s*[:-]?\s*(?<value>[A-Z0-9](?:[A-Z0-9-]|\s(?=\d)){4,20}[A-Z0-9])/gi, needsDigit: true },
+  { category: 'dob', regex: new RegExp(`\\b(?:date of birth|d\\.?o\\.?b\\.?|birth ?date|born(?: on)?|geburtsdatum|fecha de nacimiento|date de naissance|data di nascita)\\s*[:-]?\\s*(?<value>${DOB_DATE})`, 'gi') },
+  { category: 'dob', regex: /\bage\s*[:-]\s*(?<value>\d{2})\b/gi },
+  { category: 'address', regex: /^\s*(?:home address|address|adresse|anschrift|dirección|direccion|indirizzo|residence)\s*[:-]\s*(?<value>.+)$/gim },
+  { category: 'address', regex: new RegExp(`\\b\\d{1,5}[A-Za-z]?,?\\s+(?:[A-Z][\\w'.-]*\\s+){1,4}(?:${STREET_TYPES})\\b${ADDRESS_TAIL}`, 'g') },
+  { category: 'address', regex: new RegExp(`[A-ZÄÖÜ][\\wäöüß-]*(?:straße|strasse|weg|gasse|platz|allee)\\s+\\d+[a-z]?\\b${ADDRESS_TAIL}|\\b(?:calle|c/|avenida|avda\\.|rue|via|viale|piazza|plaza|paseo)\\s+[^\\n|•,.;\\d]+\\d+[a-z]?\\b${ADDRESS_TAIL}`, 'gi') },
+  { category: 'address', regex: /\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b|\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g },
+  { category: 'phone', regex: /\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{1,4}(?:[\s.-]?\d{2,4}){2,4}/g },
+  // Numbers without a country code: Indian/US formats, then trunk-prefixed ones ("030 12345678", "020 7946 0958")
+  { category: 'phone', regex: /(\+?91|0)?[\s-]?[6-9]\d{2}[\s-]?\d{3}[\s-]?\d{4}|(\+1[\s-]?)?(\(\d{3}\)|[\s-]?\d{3})[\s-]?\d{3}[\s-]?\d{4}/g },
+  { category: 'phone', regex: /(?<![\w+])\(?0\d{1,5}\)?[\s./-]?\d{2,5}(?:[\s.-]?\d{2,5}){1,3}\b/g }
+];
+
+const PLACEHOLDER_REGEX = /\[[A-Z_]+_\d+\]/;
+
+// Same value, same placeholder: "[EMAIL_1]" means the same address wherever it appears
+function redactPII(text, categories = PII_REDACTION_CATEGORIES) {
+  const placeholders = new Map();
+  const masked = new Map();
+
+  const placeholderFor = (category, value) => {
+    const normalised = category === 'phone' ? value.replace(/\D/g, '') : value.trim().toLowerCase();
+    const key = `${category}:${normalised}`;
+
+    if (!placeholders.has(key)) {
+      const n = [...placeholders.keys()].filter(k => k.startsWith(`${category}:`)).length + 1;
+      const placeholder = `[${category.toUpperCase()}_${n}]`;
+      placeholders.set(key, placeholder);
+      // Fingerprint instead of the value, so the audit log itself holds no PII
+      masked.set(placeholder, {
+        category,
+        placeholder,
+        occurrences: 0,
+        fingerprint: crypto.createHash('sha256').update(normalised).digest('hex').slice(0, 12)
+      });
+    }
+
+    const placeholder = placeholders.get(key);
+    masked.get(placeholder).occurrences++;
+    return placeholder;
+  };
+
+  let redacted = text;
+  for (const rule of PII_RULES) {
+    if (!categories.includes(rule.category)) continue;
+
+    redacted = redacted.replace(rule.regex, (...args) => {
+      const match = args[0];
+      const groups = args[args.length - 1];
+      const value = (typeof groups === 'object' && groups?.value) || match;
+
+      if (PLACEHOLDER_REGEX.test(value)) return match;
+      if (rule.needsDigit && !/\d/.test(value)) return match;
+
+      return match.replace(value, placeholderFor(rule.category, value));
+    });
+  }
+
+  return { text: redacted, masked: [...masked.values()] };
+}
+
+const countMasked = masked => masked.reduce((counts, m) => {
+  counts[m.category] = (counts[m.category] || 0) + m.occurrences;
+  return counts;
+}, {});
+
+// Append-only NDJSON; one line per prompt that went out with masked text
+async function auditRedaction(entry) {
+  if (!entry.masked.length) return;
+
+  try {
+    await fs.promises.mkdir(path.dirname(PII_AUDIT_FILE), { recursive: true });
+    await fs.promises.appendFile(PII_AUDIT_FILE, JSON.stringify({
+      at: new Date().toISOString(),
+      provider: llmAdapter.name,
+      model: MODEL,
+      ...entry
+    }) + '\n');
+  } catch (err) {
+    console.warn('⚠️ Redaction audit write failed:', err.message);
+  }
+}
+
+if (piiRedactionActive()) {
+  console.log(`✓ PII redaction on for ${llmAdapter.name}: ${PII_REDACTION_CATEGORIES.join(', ')}`);
+}
+
+// Newest first
+app.get('/api/audit/redactions', async (req, res) => {
+  try {
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    let lines = [];
+    try {
+      lines = (await fs.promises.readFile(PII_AUDIT_FILE, 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    res.json({
+      enabled: piiRedactionActive(),
+      categories: PII_REDACTION_CATEGORIES,
+      total: lines.length,
+      entries: lines.slice(-limit).reverse().map(line => JSON.parse(line))
+    });
+  } catch (err) {
+    console.error('❌ Redaction audit error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+CLIENT CONFIG
+============================================================ */
+
+// Defaults the UI needs before the first request
+app.get('/api/config', (req, res) => {
+  res.json({
+    provider: llmAdapter.name,
+    model: MODEL,
+    score_blend: SCORE_BLEND,
+    pii_redaction: piiRedactionActive() ? PII_REDACTION_CATEGORIES : null,
+    uploads: {
+      max_file_mb: UPLOAD_MAX_MB,
+      max_archive_mb: ZIP_MAX_MB,
+      max_resumes: UPLOAD_MAX_RESUMES,
+      max_jds: MATRIX_MAX_JDS,
+      extensions: UPLOAD_EXTENSIONS,
+      archive_extensions: ZIP_ARCHIVE_EXTENSIONS
+    },
+    pool: POOL_ENABLED ? { top_k: POOL_TOP_K, embedding_model: poolEmbeddingsOn ? POOL_EMBEDDING_MODEL : null } : null
+  });
+});
+
+// Scheduler settings, live queue and totals since start-up
+app.get('/api/llm/stats', (req, res) => {
+  res.json({
+    provider: llmAdapter.name,
+    model: MODEL,
+    limits: {
+      concurrency: LLM_CONCURRENCY,
+      rpm: LLM_RPM,
+      tpm: LLM_TPM,
+      timeout_ms: LLM_TIMEOUT_MS,
+      retries: LLM_HTTP_RETRIES
+    },
+    active: llmActive,
+    queued: llmQueue.length,
+    totals: summariseLLMStats(llmTotals)
+  });
+});
+
+/* ============================================================
+RUN STORE
+============================================================ */
+
+const runStore = createJsonStore('runs');
+
+function summariseRun(run) {
+  const best = run.results.reduce((a, b) => (!a || b.match_score > a.match_score ? b : a), null);
+
+  return {
+    id: run.id,
+    created_at: run.created_at,
+    updated_at: run.updated_at,
+    provider: run.provider,
+    model: run.model,
+    jd_names: run.jds.map(jd => jd.name),
+    total_results: run.results.length,
+    shortlisted: run.results.filter(r => r.review?.status === 'shortlisted').length,
+    blind: run.results.some(r => r.blind),
+    top_candidate: best ? (best.blind ? best.anonymous_label : best.candidate_name) : null,
+    top_score: best ? best.match_score : null
+  };
+}
+
+// Multiple JDs of the same screening session share one run
+async function getOrCreateRun(runId) {
+  const existing = runId ? await runStore.load(runId) : null;
+  return existing || newRun();
+}
+
+// Jobs pick their run's id up front, so a resumed job saves to the same run
+function newRun(id = crypto.randomUUID()) {
+  return {
+    id,
+    created_at: new Date().toISOString(),
+    provider: PROVIDER,
+    model: MODEL,
+    jds: [],
+    results: []
+  };
+}
+
+// Saves to a run go out one at a time, each applied to the latest copy on disk. A batch holds
+// its run in memory while it scores, so a review or reveal saved meanwhile would otherwise be
+// overwritten when the batch saves. change returning false skips the save. fallback is saved
+// when the run is not on disk yet (a new run); without one, a deleted run resolves to null.
+const runWrites = new Map();
+
+function updateRun(id, change, fallback = null) {
+  const write = (runWrites.get(id) || Promise.resolve()).then(async () => {
+    const run = (await runStore.load(id)) || fallback;
+    if (!run) return null;
+
+    if ((await change(run)) === false) return run;
+    await runStore.save(run);
+    if (fallback && fallback !== run) Object.assign(fallback, run);
+    return run;
+  });
+
+  const settled = write.catch(() => {});
+  runWrites.set(id, settled);
+  settled.then(() => {
+    if (runWrites.get(id) === settled) runWrites.delete(id);
+  });
+  return write;
+}
+
+const hashBuffer = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Results get their id when they join a run; runs saved before ids existed get theirs on first load
+function ensureResultIds(results) {
+  let added = false;
+  for (const result of results) {
+    if (result.result_id) continue;
+    result.result_id = crypto.randomUUID();
+    added = true;
+  }
+  return added;
+}
+
+app.get('/api/runs', async (req, res) => {
+  try {
+    res.json({ runs: (await runStore.list()).map(summariseRun) });
+  } catch (err) {
+    console.error('❌ Run list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    let run = await runStore.load(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    if (run.results.some(r => !r.result_id)) run = await updateRun(run.id, latest => ensureResultIds(latest.results));
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.json(run);
+  } catch (err) {
+    console.error('❌ Run load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/runs/:id', async (req, res) => {
+  try {
+    if (!(await runStore.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error('❌ Run delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pick which uploaded version of a duplicated candidate counts in the ranking
+app.put('/api/runs/:id/candidates/:candidateId', async (req, res) => {
+  try {
+    let chosen = null;
+    const run = await updateRun(req.params.id, latest => {
+      const rows = latest.results.filter(r => r.candidate_id === req.params.candidateId);
+      chosen = rows.find(r => r.resume_hash === req.body?.resume_hash &&
+        (!req.body.resume_name || r.resume_name === req.body.resume_name));
+      if (!chosen) return false;
+
+      const groupKeys = new Set(rows.map(versionKey));
+      latest.chosen_versions = [...(latest.chosen_versions || []).filter(key => !groupKeys.has(key)), versionKey(chosen)];
+      applyDeduplication(latest.results, latest.chosen_versions);
+    });
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    if (!chosen) return res.status(404).json({ error: 'Version not found for this candidate' });
+
+    res.json({ candidate_id: req.params.candidateId, results: [...run.results].sort(compareRanked) });
+  } catch (err) {
+    console.error('❌ Version choice error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+CANDIDATE REVIEW (SHORTLIST / HOLD / REJECT + NOTES)
+============================================================ */
+
+const REVIEW_STATUSES = ['shortlisted', 'hold', 'rejected'];
+const REVIEW_NOTES_MAX = 2000;
+
+// Result ids are unique across runs; callers that know the run skip the scan over every saved run
+async function findResult(resultId, runId) {
+  const runs = runId ? [await runStore.load(runId)].filter(Boolean) : await runStore.list();
+  for (const run of runs) {
+    const result = run.results.find(r => r.result_id === resultId);
+    if (result) return { run, result };
+  }
+  return null;
+}
+
+// { status: "shortlisted" | "hold" | "rejected" | null, notes: "...", run_id } - any field may be omitted
+app.patch('/api/results/:id', async (req, res) => {
+  try {
+    const { status, notes, run_id: runId } = req.body || {};
+
+    if (status === undefined && notes === undefined) {
+      return res.status(400).json({ error: 'Send a status and/or notes' });
+    }
+    if (status !== undefined && status !== null && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')} or null` });
+    }
+    if (notes !== undefined && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+
+    const found = await findResult(req.params.id, runId);
+    if (!found) return res.status(404).json({ error: 'Result not found' });
+
+    let result = null;
+    let review = null;
+    await updateRun(found.run.id, latest => {
+      result = latest.results.find(r => r.result_id === req.params.id);
+      if (!result) return false;
+
+      review = { status: null, notes: '', ...result.review };
+      if (status !== undefined) review.status = status;
+      if (notes !== undefined) review.notes = notes.trim().slice(0, REVIEW_NOTES_MAX);
+      review.updated_at = new Date().toISOString();
+      result.review = review;
+    });
+    if (!result) return res.status(404).json({ error: 'Result not found' });
+
+    console.log(`✓ Review: ${result.resume_name} x ${result.jd_name} → ${review.status || 'unreviewed'}`);
+    res.json({ result_id: req.params.id, run_id: found.run.id, review });
+  } catch (err) {
+    console.error('❌ Review update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+SAVED JOB DESCRIPTIONS
+============================================================ */
+
+const jdStore = createJsonStore('jds');
+
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Pasted text may be plain text or HTML copied from the ATS
+async function textToDocument(text, name) {
+  return extractDocumentText({ originalname: name, buffer: Buffer.from(String(text), 'utf8') });
+}
+
+async function jdFromFile(file) {
+  return { name: file.originalname, hash: hashBuffer(file.buffer), document: await extractDocumentText(file) };
+}
+
+async function jdFromText(text, title) {
+  const name = String(title || '').trim() || 'Pasted job description';
+  return { name, hash: hashBuffer(Buffer.from(text)), document: await textToDocument(text, `${name}.txt`) };
+}
+
+async function jdFromSaved(id) {
+  const saved = await jdStore.load(id);
+  if (!saved) throw documentError('Saved job description not found', 'NOT_FOUND');
+  return { name: saved.title, hash: hashBuffer(Buffer.from(saved.text)), document: await textToDocument(saved.text, `${saved.title}.txt`) };
+}
+
+// JD for a match request: uploaded file, else pasted jd_text, else saved jd_id
+async function resolveJd(req) {
+  const jdFile = req.files?.jd?.[0];
+  if (jdFile) return jdFromFile(jdFile);
+
+  const jdText = req.body?.jd_text;
+  if (jdText && jdText.trim()) return jdFromText(jdText, req.body.jd_title);
+
+  if (req.body?.jd_id) return jdFromSaved(req.body.jd_id);
+
+  return null;
+}
+
+// Every JD of a matrix request: uploaded jd/jds files, then jd_text/jd_title pairs, then jd_id values.
+// Repeated form fields arrive as arrays.
+async function resolveJds(req) {
+  const list = value => (value === undefined ? [] : [].concat(value));
+  const titles = list(req.body?.jd_title);
+  const jds = [];
+
+  for (const file of [...(req.files?.jd || []), ...(req.files?.jds || [])]) jds.push(await jdFromFile(file));
+
+  for (const [i, text] of list(req.body?.jd_text).entries()) {
+    if (String(text).trim()) jds.push(await jdFromText(text, titles[i]));
+  }
+
+  for (const id of list(req.body?.jd_id)) jds.push(await jdFromSaved(id));
+
+  return jds;
+}
+
+async function jdFromBody(body, existing = {}) {
+  const title = String(body.title ?? existing.title ?? '').trim();
+  const text = body.text ?? existing.text;
+
+  if (!title) throw documentError('title is required', 'INVALID');
+  if (!text || !String(text).trim()) throw documentError('text is required', 'INVALID');
+
+  return {
+    title,
+    tags: body.tags !== undefined ? parseTags(body.tags) : existing.tags || [],
+    // Store what recruiters will see when they re-open it
+    text: (await textToDocument(text, `${title}.txt`)).normalized
+  };
+}
+
+app.get('/api/jds', async (req, res) => {
+  try {
+    const tag = String(req.query.tag || '').trim().toLowerCase();
+    const jds = (await jdStore.list()).filter(jd => !tag || jd.tags.includes(tag));
+    res.json({ jds });
+  } catch (err) {
+    console.error('❌ JD list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jds/:id', async (req, res) => {
+  try {
+    const jd = await jdStore.load(req.params.id);
+    if (!jd) return res.status(404).json({ error: 'Job description not found' });
+    res.json(jd);
+  } catch (err) {
+    console.error('❌ JD load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jds', async (req, res) => {
+  try {
+    const jd = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...(await jdFromBody(req.body || {}))
+    };
+    res.status(201).json(await jdStore.save(jd));
+  } catch (err) {
+    const status = err.code === 'INVALID' || err.code === 'EMPTY' ? 400 : 500;
+    if (status === 500) console.error('❌ JD save error:', err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.put('/api/jds/:id', async (req, res) => {
+  try {
+    const existing = await jdStore.load(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Job description not found' });
+
+    res.json(await jdStore.save({ ...existing, ...(await jdFromBody(req.body || {}, existing)) }));
+  } catch (err) {
+    const status = err.code === 'INVALID' || err.code === 'EMPTY' ? 400 : 500;
+    if (status === 500) console.error('❌ JD save error:', err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.delete('/api/jds/:id', async (req, res) => {
+  try {
+    if (!(await jdStore.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error('❌ JD delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+SCORING RUBRICS
+============================================================ */
+
+const DEFAULT_BANDS = [
+  { min: 80, label: 'Perfect match' },
+  { min: 50, label: 'Partial' },
+  { min: 20, label: 'Minimal' },
+  { min: 0, label: 'No match' }
+];
+
+// Read-only presets; stored rubrics live in DATA_DIR/rubrics
+const BUILTIN_RUBRICS = [
+  {
+    id: 'default',
+    name: 'Balanced',
+    description: 'General purpose weighting',
+    criteria: [
+      { key: 'skills', label: 'Skills', weight: 40 },
+      { key: 'experience', label: 'Experience', weight: 30 },
+      { key: 'role', label: 'Role', weight: 20 },
+      { key: 'education', label: 'Education', weight: 10 }
+    ]
+  },
+  {
+    id: 'graduate',
+    name: 'Intern / Graduate',
+    description: 'Education and potential over track record',
+    criteria: [
+      { key: 'education', label: 'Education', weight: 35, description: 'Degree subject, grades, relevant coursework' },
+      { key: 'skills', label: 'Skills', weight: 35 },
+      { key: 'role', label: 'Role', weight: 20, description: 'Projects and internships relevant to the role' },
+      { key: 'experience', label: 'Experience', weight: 10 }
+    ]
+  },
+  {
+    id: 'staff',
+    name: 'Staff / Principal',
+    description: 'Depth and scope of experience first',
+    criteria: [
+      { key: 'experience', label: 'Experience', weight: 45, description: 'Years, scope, technical leadership' },
+      { key: 'skills', label: 'Skills', weight: 30 },
+      { key: 'role', label: 'Role', weight: 20 },
+      { key: 'education', label: 'Education', weight: 5 }
+    ]
+  }
+].map(rubric => ({ must_haves: [], bands: DEFAULT_BANDS, must_have_cap: 40, ...rubric, builtin: true }));
+
+const DEFAULT_RUBRIC = BUILTIN_RUBRICS[0];
+
+const rubricStore = createJsonStore('rubrics');
+
+const criterionKey = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+function describeBands(bands) {
+  return bands.map((band, i) => `- ${band.min}-${i === 0 ? 100 : bands[i - 1].min - 1}: ${band.label}`).join('\n');
+}
+
+function scoreBandLabel(bands, score) {
+  return (bands.find(band => score >= band.min) || bands[bands.length - 1]).label;
+}
+
+// Weighted sub-scores, capped when a must-have is missing
+function applyRubric(rubric, value) {
+  const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+  const criteriaScores = rubric.criteria.map(c => ({ key: c.key, label: c.label, weight: c.weight, score: value.criteria[c.key] }));
+  const mustHaves = rubric.must_haves.map((criterion, i) => ({ criterion, met: value.must_haves[i] }));
+  const unmet = mustHaves.filter(m => !m.met).map(m => m.criterion);
+
+  let score = Math.round(criteriaScores.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+  if (unmet.length) score = Math.min(score, rubric.must_have_cap);
+
+  return { match_score: score, criteria_scores: criteriaScores, must_haves: mustHaves, unmet_must_haves: unmet };
+}
+
+// The keyword blend must not lift a candidate past the must-have cap
+function finalMatchScore(rubric, llmResult, keywordScore, blend) {
+  const score = blendScores(llmResult.match_score, keywordScore, blend);
+  return llmResult.unmet_must_haves.length ? Math.min(score, rubric.must_have_cap) : score;
+}
+
+function isObjectList(value) {
+  return Array.isArray(value) && value.every(item => item && typeof item === 'object');
+}
+
+function rubricFromBody(body, existing = {}) {
+  const name = String(body.name ?? existing.name ?? '').trim();
+  if (!name) throw documentError('name is required', 'INVALID');
+
+  const criteriaInput = body.criteria ?? existing.criteria ?? [];
+  if (!isObjectList(criteriaInput)) throw documentError('criteria must be a list of { label, weight } objects', 'INVALID');
+  const criteria = criteriaInput.map(c => ({
+    key: criterionKey(c.key || c.label),
+    label: String(c.label || c.key || '').trim(),
+    weight: Number(c.weight),
+    ...(c.description ? { description: String(c.description).trim() } : {})
+  }));
+  if (!criteria.length) throw documentError('criteria must list at least one criterion', 'INVALID');
+  if (criteria.some(c => !c.key || !(c.weight > 0))) {
+    throw documentError('every criterion needs a label and a positive weight', 'INVALID');
+  }
+  if (new Set(criteria.map(c => c.key)).size !== criteria.length) {
+    throw documentError('criterion labels must be unique', 'INVALID');
+  }
+
+  // Weights are stored as percentages of the total
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  criteria.forEach(c => { c.weight = Math.round((c.weight / totalWeight) * 100); });
+
+  const mustHavesInput = body.must_haves ?? existing.must_haves ?? [];
+  const mustHaves = (Array.isArray(mustHavesInput) ? mustHavesInput : String(mustHavesInput).split('\n'))
+    .map(m => String(m).trim())
+    .filter(Boolean);
+
+  const bandsInput = body.bands ?? existing.bands ?? DEFAULT_BANDS;
+  if (!isObjectList(bandsInput)) throw documentError('bands must be a list of { min, label } objects', 'INVALID');
+  const bands = bandsInput
+    .map(b => ({ min: Math.round(Number(b.min)), label: String(b.label || '').trim() }))
+    .sort((a, b) => b.min - a.min);
+  if (!bands.length || bands.some(b => !b.label || !(b.min >= 0 && b.min <= 100))) {
+    throw documentError('every band needs a label and a min between 0 and 100', 'INVALID');
+  }
+  if (bands[bands.length - 1].min !== 0) throw documentError('the lowest band must start at 0', 'INVALID');
+
+  const cap = Number(body.must_have_cap ?? existing.must_have_cap ?? 40);
+  if (!(cap >= 0 && cap <= 100)) throw documentError('must_have_cap must be between 0 and 100', 'INVALID');
+
+  return {
+    name,
+    description: String(body.description ?? existing.description ?? '').trim(),
+    criteria,
+    must_haves: mustHaves,
+    bands,
+    must_have_cap: cap
+  };
+}
+
+async function resolveRubric(id) {
+  if (!id) return DEFAULT_RUBRIC;
+
+  const rubric = BUILTIN_RUBRICS.find(r => r.id === id) || await rubricStore.load(id);
+  if (!rubric) throw documentError('Rubric not found', 'NOT_FOUND');
+  return rubric;
+}
+
+app.get('/api/rubrics', async (req, res) => {
+  try {
+    res.json({ rubrics: [...BUILTIN_RUBRICS, ...(await rubricStore.list())] });
+  } catch (err) {
+    console.error('❌ Rubric list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/rubrics/:id', async (req, res) => {
+  try {
+    res.json(await resolveRubric(req.params.id));
+  } catch (err) {
+    const status = err.code === 'NOT_FOUND' ? 404 : 500;
+    if (status === 500) console.error('❌ Rubric load error:', err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.post('/api/rubrics', async (req, res) => {
+  try {
+    const rubric = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...rubricFromBody(req.body || {})
+    };
+    res.status(201).json(await rubricStore.save(rubric));
+  } catch (err) {
+    const status = err.code === 'INVALID' ? 400 : 500;
+    if (status === 500) console.error('❌ Rubric save error:', err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.put('/api/rubrics/:id', async (req, res) => {
+  try {
+    if (BUILTIN_RUBRICS.some(r => r.id === req.params.id)) {
+      return res.status(400).json({ error: 'Built-in rubrics are read-only; create a copy instead' });
+    }
+
+    const existing = await rubricStore.load(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Rubric not found' });
+
+    res.json(await rubricStore.save({ ...existing, ...rubricFromBody(req.body || {}, existing) }));
+  } catch (err) {
+    const status = err.code === 'INVALID' ? 400 : 500;
+    if (status === 500) console.error('❌ Rubric save error:', err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.delete('/api/rubrics/:id', async (req, res) => {
+  try {
+    if (BUILTIN_RUBRICS.some(r => r.id === req.params.id)) {
+      return res.status(400).json({ error: 'Built-in rubrics cannot be deleted' });
+    }
+
+    if (!(await rubricStore.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error('❌ Rubric delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+EXPORT (CSV / XLSX)
+============================================================ */
+
+// The results table columns (index.html), plus the score and skill details behind them
+const EXPORT_COLUMNS = [
+  { header: 'Candidate Name', key: 'candidate_name', width: 24 },
+  { header: 'Resume File Name', key: 'resume_name', width: 30 },
+  { header: 'Job Description', key: 'jd_name', width: 30 },
+  { header: 'Best Role', key: 'best_jd', width: 30 },
+  { header: 'Duplicate Of', key: 'duplicate_of', width: 30 },
+  { header: 'Blind Label', key: 'anonymous_label', width: 16 },
+  { header: 'Match Score', key: 'match_score', width: 12 },
+  { header: 'Review Status', key: 'review_status', width: 14 },
+  { header: 'Review Notes', key: 'review_notes', width: 40 },
+  { header: 'Score Band', key: 'score_band', width: 16 },
+  { header: 'Criteria Scores', key: 'criteria_scores', width: 40 },
+  { header: 'Unmet Must-Haves', key: 'unmet_must_haves', width: 30 },
+  { header: 'LLM Score', key: 'llm_score', width: 11 },
+  { header: 'Keyword Score', key: 'keyword_score', width: 14 },
+  { header: 'Normal-Mode Score', key: 'normal_score', width: 16 },
+  { header: 'Seniority Fit', key: 'seniority_fit', width: 14 },
+  { header: 'OCR Confidence', key: 'ocr_confidence', width: 15 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Contact Number', key: 'phone', width: 18 },
+  { header: 'LinkedIn Profile', key: 'linkedin', width: 40 },
+  { header: 'All Emails', key: 'emails', width: 36 },
+  { header: 'All Phones', key: 'phones', width: 30 },
+  { header: 'Location', key: 'location', width: 24 },
+  { header: 'Current Title', key: 'current_title', width: 28 },
+  { header: 'Current Employer', key: 'current_employer', width: 28 },
+  { header: 'Years of Experience', key: 'years_experience', width: 12 },
+  { header: 'Highest Degree', key: 'highest_degree', width: 16 },
+  { header: 'GitHub', key: 'github', width: 36 },
+  { header: 'Portfolio', key: 'portfolio', width: 36 },
+  { header: 'Skills', key: 'skills', width: 50 },
+  { header: 'Matched Skills', key: 'matched_skills', width: 36 },
+  { header: 'Missing Skills', key: 'missing_skills', width: 36 },
+  { header: 'Gaps', key: 'gaps', width: 50 },
+  { header: 'Match Summary', key: 'summary', width: 70 }
+];
+
+// What the results table hides for an unrevealed blind candidate; the name becomes the blind label
+const BLIND_HIDDEN_KEYS = ['resume_name', 'duplicate_of', 'email', 'phone', 'linkedin', 'emails', 'phones', 'location', 'github', 'portfolio'];
+
+// A reveal without a candidate id unmasked the whole run
+function maskBlindRows(rows, reveals = []) {
+  const revealed = row => reveals.some(reveal => !reveal.candidate_id || reveal.candidate_id === row.candidate_id);
+
+  return rows.map(row => {
+    if (!row.blind || revealed(row)) return row;
+    const masked = { ...row, candidate_name: row.anonymous_label || 'Candidate' };
+    BLIND_HIDDEN_KEYS.forEach(key => { masked[key] = null; });
+    return masked;
+  });
+}
+
+// Lists are arrays in results, a comma-separated cell in exports
+function exportValue(row, key) {
+  const value = key.startsWith('review_') ? row.review?.[key.slice('review_'.length)] : row[key];
+  if (!Array.isArray(value)) return value;
+  // Gap lines contain commas of their own
+  return value.map(item => (typeof item === 'object' ? `${item.label} ${item.score}` : item)).join(key === 'gaps' ? '; ' : ', ');
+}
+
+// Mirrors score-high / score-medium / score-low in app.js + style.css
+const SCORE_BAND_STYLES = {
+  high: { fill: 'FFD3ECEF', font: 'FF21808D' },
+  medium: { fill: 'FFF6E0D8', font: 'FFA84B2F' },
+  low: { fill: 'FFF6D3D9', font: 'FFC0152F' }
+};
+
+function scoreBand(score) {
+  if (score >= 75) return 'high';
+  if (score >= 50) return 'medium';
+  return 'low';
+}
+
+// Cells that are only a number, or only E.164 phone numbers, cannot carry a formula
+const CSV_PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+const CSV_PHONE_LIST = /^\+\d{6,15}(, \+\d{6,15})*$/;
+
+function csvCell(value) {
+  let cell = value === undefined || value === null ? '' : String(value);
+
+  // Neutralise spreadsheet formulas, including DDE payloads such as -2+3+cmd|...
+  if (/^[=+\-@\t\r]/.test(cell) && !CSV_PLAIN_NUMBER.test(cell) && !CSV_PHONE_LIST.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function buildCsv(results, reveals = []) {
+  const rows = maskBlindRows(results, reveals);
+  const lines = [EXPORT_COLUMNS.map(col => csvCell(col.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(col => csvCell(exportValue(row, col.key))).join(','));
+  }
+
+  // BOM so Excel opens the file as UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function sheetName(name, used) {
+  const base = (String(name || 'Sheet').replace(/\.[a-z0-9]+$/i, '').replace(/[\[\]:*?\/\\]/g, ' ').trim() || 'Sheet').slice(0, 31);
+  let candidate = base;
+  let i = 2;
+
+  while (used.has(candidate.toLowerCase())) {
+    const suffix = ` (${i++})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function styleHeaderRow(sheet) {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEFF3F4' } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+function colourScoreCell(cell, score) {
+  const style = SCORE_BAND_STYLES[scoreBand(score)];
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: style.fill } };
+  cell.font = { bold: true, color: { argb: style.font } };
+}
+
+function addMatrixSheet(workbook, name, rows, jdNames) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = [
+    { header: 'Candidate Name', key: 'candidate_name', width: 24 },
+    { header: 'Resume File Name', key: 'resume_name', width: 30 },
+    ...jdNames.map((jd, j) => ({ header: jd, key: `jd_${j}`, width: 14 })),
+    { header: 'Best Role', key: 'best_jd', width: 30 }
+  ];
+  styleHeaderRow(sheet);
+
+  const byCandidate = new Map();
+  for (const row of rows) {
+    const id = row.resume_hash || row.resume_name;
+    if (!byCandidate.has(id)) byCandidate.set(id, []);
+    byCandidate.get(id).push(row);
+  }
+
+  for (const cells of byCandidate.values()) {
+    const scored = cells.filter(cell => !cell.error);
+    const best = cells[0].best_jd
+      ?? [...scored].sort((a, b) => (Number(b.match_score) || 0) - (Number(a.match_score) || 0))[0]?.jd_name;
+    const values = {
+      candidate_name: scored[0]?.candidate_name || cells[0].candidate_name,
+      resume_name: cells[0].resume_name,
+      best_jd: best || ''
+    };
+    jdNames.forEach((jd, j) => {
+      const cell = cells.find(c => (c.jd_name || 'Job Description') === jd);
+      values[`jd_${j}`] = cell ? Number(cell.match_score) || 0 : '';
+    });
+
+    const row = sheet.addRow(values);
+    jdNames.forEach((jd, j) => {
+      if (values[`jd_${j}`] !== '') colourScoreCell(row.getCell(`jd_${j}`), values[`jd_${j}`]);
+    });
+  }
+}
+
+async function buildWorkbook(results, reveals = []) {
+  const rows = maskBlindRows(results, reveals);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Resume Matcher';
+  workbook.created = new Date();
+
+  const byJd = new Map();
+  for (const row of rows) {
+    const jd = row.jd_name || 'Job Description';
+    if (!byJd.has(jd)) byJd.set(jd, []);
+    byJd.get(jd).push(row);
+  }
+
+  const used = new Set();
+
+  // Combined summary sheet: one line per JD
+  const summary = workbook.addWorksheet(sheetName('Summary', used));
+  summary.columns = [
+    { header: 'Job Description', key: 'jd_name', width: 36 },
+    { header: 'Resumes', key: 'total', width: 10 },
+    { header: 'Average Score', key: 'average', width: 14 },
+    { header: 'High (75+)', key: 'high', width: 12 },
+    { header: 'Medium (50-74)', key: 'medium', width: 15 },
+    { header: 'Low (<50)', key: 'low', width: 11 },
+    { header: 'Top Candidate', key: 'top_candidate', width: 26 },
+    { header: 'Top Score', key: 'top_score', width: 11 }
+  ];
+  styleHeaderRow(summary);
+
+  for (const [jd, allJdRows] of byJd) {
+    // Extra versions of a duplicated candidate do not count twice
+    const jdRows = allJdRows.filter(r => r.counted !== false);
+    if (!jdRows.length) continue;
+
+    const scores = jdRows.map(r => Number(r.match_score) || 0);
+    const best = jdRows.reduce((a, b) => ((Number(b.match_score) || 0) > (Number(a.match_score) || 0) ? b : a));
+    const bands = { high: 0, medium: 0, low: 0 };
+    scores.forEach(s => bands[scoreBand(s)]++);
+
+    const row = summary.addRow({
+      jd_name: jd,
+      total: jdRows.length,
+      average: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+      ...bands,
+      top_candidate: best.candidate_name,
+      top_score: Number(best.match_score) || 0
+    });
+    colourScoreCell(row.getCell('average'), row.getCell('average').value);
+    colourScoreCell(row.getCell('top_score'), row.getCell('top_score').value);
+  }
+
+  // Candidates x JDs grid when more than one JD was screened
+  if (byJd.size > 1) addMatrixSheet(workbook, sheetName('Matrix', used), rows, [...byJd.keys()]);
+
+  // One ranked sheet per JD
+  for (const [jd, jdRows] of byJd) {
+    const sheet = workbook.addWorksheet(sheetName(jd, used));
+    sheet.columns = EXPORT_COLUMNS.map(col => ({ ...col }));
+    styleHeaderRow(sheet);
+
+    const ranked = [...jdRows].sort((a, b) => (Number(b.match_score) || 0) - (Number(a.match_score) || 0));
+
+    for (const result of ranked) {
+      const values = {};
+      EXPORT_COLUMNS.forEach(col => { values[col.key] = exportValue(result, col.key) ?? ''; });
+      values.match_score = Number(result.match_score) || 0;
+
+      const row = sheet.addRow(values);
+      row.getCell('summary').alignment = { wrapText: true, vertical: 'top' };
+      colourScoreCell(row.getCell('match_score'), values.match_score);
+
+      if (/^https?:\/\//.test(values.linkedin)) {
+        row.getCell('linkedin').value = { text: values.linkedin, hyperlink: values.linkedin };
+      }
+    }
+
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Blind rows are exported under their label unless the run's reveals unmasked them
+async function sendExport(res, rows, format, baseName, reveals = []) {
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${stamp}.csv"`);
+    return res.send(buildCsv(rows, reveals));
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${stamp}.xlsx"`);
+  res.send(await buildWorkbook(rows, reveals));
+}
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+app.get('/api/runs/:id/export', async (req, res) => {
+  try {
+    const run = await runStore.load(req.params.id);
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+
+    await sendExport(res, run.results, format, `match-results-${run.id.slice(0, 8)}`, run.reveals);
+  } catch (err) {
+    console.error('❌ Export error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export rows held by the browser (what the results table currently shows); run_id applies that run's reveals
+app.post('/api/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const rows = req.body?.results;
+    const run = req.body?.run_id ? await runStore.load(req.body.run_id) : null;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'No results to export' });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+
+    await sendExport(res, rows, format, 'match-results', run?.reveals);
+  } catch (err) {
+    console.error('❌ Export error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+CANDIDATE DEDUPLICATION
+============================================================ */
+
+const SIGNATURE_SIZE = 64;
+const DEDUP_TEXT_THRESHOLD = 0.8; // near-identical text is a duplicate on its own
+const DEDUP_NAME_TEXT_THRESHOLD = 0.3; // same name needs some text overlap too
+
+// Fixed (a, b) pairs for SIGNATURE_SIZE universal hash functions
+const SIGNATURE_SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, k) => [
+  (fnv1a(`a${k}`) | 1) >>> 0,
+  fnv1a(`b${k}`)
+]);
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MinHash over word 3-grams: the share of equal slots estimates how much text two resumes share
+function textSignature(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const shingles = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) shingles.add(words.slice(i, i + 3).join(' '));
+  if (!shingles.size && words.length) shingles.add(words.join(' '));
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const h = fnv1a(shingle);
+    SIGNATURE_SEEDS.forEach(([a, b], k) => {
+      const v = (Math.imul(a, h) + b) >>> 0;
+      if (v < signature[k]) signature[k] = v;
+    });
+  }
+  return signature;
+}
+
+function signatureSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  return a.filter((v, i) => v === b[i]).length / a.length;
+}
+
+const present = value => value && value !== '—' && value !== 'Unknown';
+
+function normaliseName(name) {
+  if (!present(name)) return null;
+  return name.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .split(/[^a-z]+/).filter(Boolean).sort();
+}
+
+// "Maria Garcia" matches "Maria Garcia Lopez"; single names never match
+function namesMatch(a, b) {
+  if (!a || !b || Math.min(a.length, b.length) < 2) return false;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.every(token => long.includes(token));
+}
+
+// Older runs only stored the first email and phone
+const contactList = (list, first) => (list?.length ? list : [first]).filter(present);
+
+function dedupIdentity(result) {
+  return {
+    key: versionKey(result),
+    resume_name: result.resume_name,
+    resume_hash: result.resume_hash,
+    text_length: result.text_length || 0,
+    name: normaliseName(result.candidate_name),
+    emails: contactList(result.emails, result.email).map(e => e.trim().toLowerCase()),
+    // Last 9 digits, so +44 7700 900123 and 07700 900123 agree
+    phones: contactList(result.phones, result.phone)
+      .map(p => String(p).replace(/\D/g, ''))
+      .filter(digits => digits.length >= 7)
+      .map(digits => digits.slice(-9)),
+    linkedin: (String(result.linkedin || '').match(/linkedin\.com\/in\/([^/?#\s]+)/i) || [])[1]?.toLowerCase() || null,
+    signature: result.text_signature
+  };
+}
+
+// One uploaded document; the same file scored against several JDs is one version
+const versionKey = result => `${result.resume_hash}:${result.resume_name}`;
+
+function duplicateReasons(a, b) {
+  const reasons = [];
+  if (a.resume_hash && a.resume_hash === b.resume_hash) reasons.push('identical file');
+  if (a.emails.some(e => b.emails.includes(e))) reasons.push('same email');
+  if (a.phones.some(p => b.phones.includes(p))) reasons.push('same phone');
+  if (a.linkedin && a.linkedin === b.linkedin) reasons.push('same LinkedIn');
+
+  const similarity = signatureSimilarity(a.signature, b.signature);
+  if (similarity >= DEDUP_TEXT_THRESHOLD) {
+    reasons.push(`${Math.round(similarity * 100)}% similar text`);
+  } else if (namesMatch(a.name, b.name) && similarity >= DEDUP_NAME_TEXT_THRESHOLD) {
+    reasons.push(`same name, ${Math.round(similarity * 100)}% similar text`);
+  }
+  return reasons;
+}
+
+// Group likely duplicate uploads and mark one version per group as counted.
+// chosen: version keys the user picked; otherwise the longest document counts.
+function applyDeduplication(results, chosen = []) {
+  const identities = [...new Map(results.map(r => [versionKey(r), dedupIdentity(r)])).values()];
+
+  // Union-find over versions
+  const parent = identities.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = identities.map(() => new Set());
+
+  for (let i = 0; i < identities.length; i++) {
+    for (let j = i + 1; j < identities.length; j++) {
+      const found = duplicateReasons(identities[i], identities[j]);
+      if (!found.length) continue;
+      parent[find(j)] = find(i);
+      found.forEach(reason => reasons[i].add(reason));
+    }
+  }
+
+  const groups = new Map();
+  identities.forEach((identity, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { members: [], reasons: new Set() });
+    groups.get(root).members.push(identity);
+    reasons[i].forEach(reason => groups.get(root).reasons.add(reason));
+  });
+
+  const byKey = new Map();
+  for (const { members, reasons: groupReasons } of groups.values()) {
+    const keys = members.map(m => m.key).sort();
+    const primary = members.find(m => chosen.includes(m.key)) ||
+      [...members].sort((a, b) => (b.text_length - a.text_length) || a.resume_name.localeCompare(b.resume_name))[0];
+
+    const info = {
+      candidate_id: crypto.createHash('sha1').update(keys[0]).digest('hex').slice(0, 12),
+      primary,
+      group: members.length > 1
+        ? {
+            versions: members.map(m => ({ resume_name: m.resume_name, resume_hash: m.resume_hash, counted: m === primary })),
+            reasons: [...groupReasons]
+          }
+        : null
+    };
+    members.forEach(m => byKey.set(m.key, info));
+  }
+
+  for (const result of results) {
+    const info = byKey.get(versionKey(result));
+    const counted = info.primary.key === versionKey(result);
+    result.candidate_id = info.candidate_id;
+    result.counted = counted;
+    result.duplicate_group = info.group;
+    result.duplicate_of = counted ? null : info.primary.resume_name;
+  }
+
+  return results;
+}
+
+// Counted versions rank first; the other versions follow
+const compareRanked = (a, b) => ((b.counted !== false) - (a.counted !== false)) || compareResults(a, b);
+
+/* ============================================================
+BLIND SCREENING (ANONYMISED SCORING + FAIRNESS REPORT)
+============================================================ */
+
+const UNIVERSITY_WORDS = 'University|College|Institute|Polytechnic|Academy|Universität|Universidad|Université|Università|Hochschule';
+
+// Demographic cues that survive PII redaction; masking them is best-effort, wording stays readable
+const BLIND_RULES = [
+  { cue: 'personal_details', regex: /^\s*(?:gender|sex|marital status|family status|nationality|citizenship|religion|place of birth|ethnicity|children|dependants)\s*[:-].*$/gim, replace: '' },
+  { cue: 'age', regex: /\b(?:aged\s+\d{2}|\d{2}\s*(?:years?|yrs?)\s+old)\b/gi, replace: '[AGE]' },
+  { cue: 'nationality', regex: /\b[A-Z][a-z]+\s+(?:national|citizen)\b/g, replace: '[NATIONALITY]' },
+  { cue: 'gender', regex: /\b(?:Mr|Mrs|Ms|Miss|Mx|Herr|Frau|Mme|Mlle|Sr|Sra)\.?\s+(?=[A-Z[])/g, replace: '' },
+  { cue: 'gender', regex: /\b(?:male|female|man|woman|men|women)\b/gi, replace: 'person' },
+  { cue: 'gender', regex: /\b(?:he|she)\b/gi, replace: 'they' },
+  { cue: 'gender', regex: /\b(?:himself|herself)\b/gi, replace: 'themselves' },
+  { cue: 'gender', regex: /\bhim\b/gi, replace: 'them' },
+  { cue: 'gender', regex: /\b(?:his|her)\b/gi, replace: 'their' },
+  { cue: 'gender', regex: /\bhers\b/gi, replace: 'theirs' },
+  { cue: 'university', regex: new RegExp(`\\b(?:[A-Z][\\w'&.-]*\\s+){0,4}(?:${UNIVERSITY_WORDS})\\b(?:\\s+(?:of|for|de|di|für)(?:\\s+[A-Z][\\w'&.-]*){1,4})?|\\b(?:IIT|NIT|IIM|MIT|UCLA|ETH|EPFL|LSE|UCL)\\b(?:\\s+[A-Z][a-z]+)?`, 'g'), replace: '[UNIVERSITY]' }
+];
+
+// Everything scoreResumeWithLLM sees in blind mode: PII masked (all categories), the candidate's
+// own name replaced, then gender, age, nationality and institution cues neutralised
+function blindResumeText(text, entities) {
+  const redaction = redactPII(text, PII_CATEGORIES);
+  const neutralised = {};
+  let blind = redaction.text;
+
+  const nameParts = entities.candidate_name && entities.candidate_name !== 'Unknown'
+    ? entities.candidate_name.split(/\s+/).filter(part => part.length > 1)
+    : [];
+  if (nameParts.length) {
+    const full = new RegExp(`\\b${nameParts.map(escapeRegex).join('\\s+')}\\b`, 'gi');
+    const single = new RegExp(`\\b(?:${nameParts.map(escapeRegex).join('|')})\\b`, 'gi');
+    blind = blind.replace(full, () => { neutralised.name = (neutralised.name || 0) + 1; return '[CANDIDATE]'; });
+    blind = blind.replace(single, () => { neutralised.name = (neutralised.name || 0) + 1; return '[CANDIDATE]'; });
+  }
+
+  for (const rule of BLIND_RULES) {
+    blind = blind.replace(rule.regex, match => {
+      if (/^\[[A-Z_]+(?:_\d+)?\]$/.test(match.trim())) return match;
+      neutralised[rule.cue] = (neutralised[rule.cue] || 0) + 1;
+      // "She led" becomes "They led", not "they led"
+      return /^[A-Z]/.test(match) && /^[a-z]/.test(rule.replace)
+        ? rule.replace[0].toUpperCase() + rule.replace.slice(1)
+        : rule.replace;
+    });
+  }
+
+  return { text: blind.replace(/\n{3,}/g, '\n\n'), masked: redaction.masked, neutralised };
+}
+
+// "Candidate 07": numbered by first upload within the run, stable when the run grows
+function assignAnonymousLabels(results) {
+  const idOf = r => r.candidate_id || r.resume_hash || r.resume_name;
+  const labels = new Map(results.filter(r => r.anonymous_label).map(r => [idOf(r), r.anonymous_label]));
+  const width = Math.max(2, String(new Set(results.map(idOf)).size).length);
+  let next = labels.size + 1;
+
+  for (const r of results) {
+    if (!r.blind) continue;
+    if (!labels.has(idOf(r))) labels.set(idOf(r), `Candidate ${String(next++).padStart(width, '0')}`);
+    r.anonymous_label = labels.get(idOf(r));
+  }
+}
+
+function describeScores(scores) {
+  if (!scores.length) return null;
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  const variance = scores.reduce((n, s) => n + (s - mean) ** 2, 0) / scores.length;
+  const mid = Math.floor(sorted.length / 2);
+
+  return {
+    count: scores.length,
+    mean: Math.round(mean * 10) / 10,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+    stdev: Math.round(Math.sqrt(variance) * 10) / 10,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Average ranks for ties, so equal scores do not fake a correlation
+function rankOf(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => b[0] - a[0]);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) ranks[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function spearman(a, b) {
+  if (a.length < 2) return null;
+
+  const ra = rankOf(a);
+  const rb = rankOf(b);
+  const mean = (a.length + 1) / 2;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < a.length; i++) {
+    cov += (ra[i] - mean) * (rb[i] - mean);
+    va += (ra[i] - mean) ** 2;
+    vb += (rb[i] - mean) ** 2;
+  }
+  return va && vb ? Math.round((cov / Math.sqrt(va * vb)) * 1000) / 1000 : null;
+}
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
+// Blind vs normal scores of the same candidates against the same JD
+function fairnessSection(rows) {
+  const blind = rows.map(r => r.match_score);
+  const normal = rows.map(r => r.normal_score);
+  const deltas = rows.map(r => r.match_score - r.normal_score);
+  const k = Math.min(5, rows.length);
+  const topBlind = new Set([...rows].sort((a, b) => b.match_score - a.match_score).slice(0, k));
+  const topNormal = [...rows].sort((a, b) => b.normal_score - a.normal_score).slice(0, k);
+
+  return {
+    candidates: rows.length,
+    blind: { ...describeScores(blind), bands: countBy(rows, 'score_band') },
+    normal: { ...describeScores(normal), bands: countBy(rows, 'normal_score_band') },
+    mean_delta: Math.round((deltas.reduce((a, b) => a + b, 0) / rows.length) * 10) / 10,
+    mean_abs_delta: Math.round((deltas.reduce((a, b) => a + Math.abs(b), 0) / rows.length) * 10) / 10,
+    band_changes: rows.filter(r => r.score_band !== r.normal_score_band).length,
+    rank_correlation: spearman(blind, normal),
+    top_k: { k, overlap: topNormal.filter(r => topBlind.has(r)).length },
+    largest_changes: [...rows]
+      .sort((a, b) => Math.abs(b.match_score - b.normal_score) - Math.abs(a.match_score - a.normal_score))
+      .slice(0, 5)
+      .map(r => ({ candidate: r.anonymous_label, blind: r.match_score, normal: r.normal_score, delta: r.match_score - r.normal_score }))
+  };
+}
+
+function fairnessReport(run) {
+  const paired = run.results.filter(r => r.blind && !r.error && r.counted !== false && typeof r.normal_score === 'number');
+  if (!paired.length) return null;
+
+  const byJd = new Map();
+  paired.forEach(r => byJd.set(r.jd_name, [...(byJd.get(r.jd_name) || []), r]));
+
+  return {
+    run_id: run.id,
+    generated_at: new Date().toISOString(),
+    overall: fairnessSection(paired),
+    by_jd: [...byJd].map(([jd_name, rows]) => ({ jd_name, ...fairnessSection(rows) })),
+    reveals: run.reveals || []
+  };
+}
+
+app.get('/api/runs/:id/fairness', async (req, res) => {
+  try {
+    const run = await runStore.load(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+
+    const report = fairnessReport(run);
+    if (!report) {
+      return res.status(400).json({ error: 'Run has no blind results scored in both modes (screen with blind and fairness enabled)' });
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('❌ Fairness report error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reveals are recorded on the run, so who was unmasked and when can be shown later
+app.post('/api/runs/:id/reveals', async (req, res) => {
+  try {
+    const candidateId = req.body?.candidate_id || null;
+    let known = true;
+    const run = await updateRun(req.params.id, latest => {
+      known = !candidateId || latest.results.some(r => r.candidate_id === candidateId);
+      if (!known) return false;
+      latest.reveals = [...(latest.reveals || []), { at: new Date().toISOString(), candidate_id: candidateId }];
+    });
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    if (!known) return res.status(404).json({ error: 'Candidate not found in this run' });
+
+    console.log(`👁️ Revealed ${candidateId || 'all candidates'} in run ${run.id}`);
+    res.json({ reveals: run.reveals });
+  } catch (err) {
+    console.error('❌ Reveal error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+PROGRESS STREAMING (NDJSON)
+============================================================ */
+
+// Clients opt in with "Accept: application/x-ndjson" or ?stream=1
+function wantsStream(req) {
+  return (req.get('accept') || '').includes('application/x-ndjson') ||
+    req.query.stream === '1' || req.query.stream === 'true';
+}
+
+function createProgressStream(req, res) {
+  const controller = new AbortController();
+  const stream = {
+    enabled: wantsStream(req),
+    closed: false,
+    signal: controller.signal,
+    emit(event) {
+      if (!stream.enabled || stream.closed) return;
+      res.write(JSON.stringify(event) + '\n');
+    }
+  };
+
+  if (stream.enabled) {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+  }
+
+  // Stop spending LLM calls once the browser has gone away: queued and in-flight
+  // requests of this batch are aborted
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    stream.closed = true;
+    controller.abort();
+  });
+
+  return stream;
+}
+
+/* ============================================================
+PER-RESUME PIPELINE
+============================================================ */
+
+// Keep each batch's scheduler stats on the run so providers can be tuned from history
+function recordBatchStats(run, jdNames, stats) {
+  const summary = summariseLLMStats(stats);
+  run.llm_stats = [...(run.llm_stats || []), { at: new Date().toISOString(), jd_names: jdNames, ...summary }];
+
+  console.log(`📊 LLM: ${summary.requests} requests, ${summary.retries} retries, ${summary.tokens.total} tokens, avg ${summary.latency_ms.avg} ms`);
+  return summary;
+}
+
+function failedResult(resumeName, err) {
+  return {
+    resume_name: resumeName,
+    candidate_name: 'Unknown',
+    match_score: 0,
+    seniority_fit: 'Weak',
+    summary: `Error: ${err.message}`,
+    error: err.message,
+    email: '—',
+    phone: '—',
+    linkedin: '—',
+    ...(err.validation ? { validation: err.validation, llm_output: { raw: err.raw } } : {})
+  };
+}
+
+// jd: { text, skills, blend } - built once per JD and shared by every resume
+function buildJdContext(jd, { blend, rubric, blind = false, fairness = false }) {
+  return {
+    text: truncate(jd.document.normalized, JD_TOKEN_BUDGET * CHARS_PER_TOKEN),
+    skills: extractJdSkills(jd.document.normalized),
+    requirements: extractJdRequirements(jd.document.normalized),
+    blend: parseBlend(blend, SCORE_BLEND),
+    rubric,
+    blind,
+    // Blind runs can also be scored normally, for the fairness report
+    fairness: blind && fairness
+  };
+}
+
+const formFlag = value => value === true || value === 'true' || value === '1' || value === 'on';
+
+function rubricSummary(rubric) {
+  return { id: rubric.id, name: rubric.name };
+}
+
+function compareResults(a, b) {
+  return (b.match_score - a.match_score)
+    || ((b.keyword_score ?? -1) - (a.keyword_score ?? -1))
+    || String(a.candidate_name).localeCompare(String(b.candidate_name));
+}
+
+// Bumped when what extractEntities returns changes, so cached entries are rebuilt
+const ENTITIES_VERSION = 'entities-v3';
+
+// Everything about a resume that does not depend on the JD; the matrix endpoint
+// parses each resume once and scores it against every JD
+// useLLM: false keeps name extraction local and index: false keeps the resume out of the
+// candidate pool (the CLI's dry run does both, blind screening does the latter). With PII
+// redaction on, nothing is indexed either.
+async function parseResume(resumeFile, emit = () => {}, { useLLM = true, index = true } = {}) {
+  const resumeName = resumeFile.originalname;
+  const hash = hashBuffer(resumeFile.buffer);
+
+  // Turning OCR on or changing its languages changes what a scanned PDF reads as
+  const { value: document } = await cached(caches.text, cacheKey(hash, OCR_ENABLED && OCR_LANGS), () => extractDocumentText(resumeFile));
+  const sections = parseResumeSections(document.normalized);
+  const resumeText = buildScoringView(sections);
+  emit({ type: 'parsed', resume_name: resumeName, document_type: document.type, characters: document.normalized.length, ocr: document.ocr });
+
+  // Extract entities from the whole document, not the scoring view
+  const redacting = piiRedactionActive();
+  const local = redacting || !useLLM;
+  const localEntities = () => cached(caches.entities, cacheKey(ENTITIES_VERSION, hash, 'local'),
+    () => extractEntities(document.normalized, { useLLM: false, sections }));
+  let entities;
+  try {
+    ({ value: entities } = local
+      ? await localEntities()
+      : await cached(caches.entities, cacheKey(ENTITIES_VERSION, hash, llmAdapter.name, MODEL),
+        () => extractEntities(document.normalized, { useLLM: true, sections })));
+  } catch (err) {
+    if (local || err.code === 'CANCELLED') throw err;
+
+    // The regex name is cached as the local result, so the LLM is asked again next time
+    console.warn('⚠️ LLM extraction error:', err.message);
+    ({ value: entities } = await localEntities());
+  }
+  emit({ type: 'name_extracted', resume_name: resumeName, candidate_name: entities.candidate_name });
+
+  if (index && !redacting) await indexCandidate(resumeFile, hash, document, entities);
+
+  // What the provider sees; the local copy keeps the real contact details
+  const redaction = redacting ? redactPII(resumeText) : null;
+
+  return {
+    resumeName,
+    hash,
+    document,
+    sections,
+    resumeText,
+    promptText: redaction ? redaction.text : resumeText,
+    redaction,
+    entities,
+    signature: textSignature(document.normalized)
+  };
+}
+
+// The resume text the provider sees for this JD, and the redaction behind it (if any)
+function promptTextFor(parsed, jd) {
+  // Blind text is built once per resume, however many JDs it is scored against
+  if (jd.blind) parsed.blindView ??= blindResumeText(parsed.resumeText, parsed.entities);
+  return jd.blind
+    ? { promptText: parsed.blindView.text, redaction: piiRedactionActive() ? parsed.blindView : null }
+    : { promptText: parsed.promptText, redaction: parsed.redaction };
+}
+
+async function scoreParsedResume(parsed, jd) {
+  const { document, sections } = parsed;
+  const { criteria, must_haves, bands, must_have_cap } = jd.rubric;
+
+  const { promptText, redaction } = promptTextFor(parsed, jd);
+  const scoreKey = cacheKey(SCORE_PROMPT_VERSION, llmAdapter.name, MODEL, parsed.hash, promptText, jd.text,
+    { criteria, must_haves, bands, must_have_cap, ...(jd.blind && { blind: true }) }, jd.requirements);
+
+  // Score with LLM, then blend in the deterministic skill coverage
+  const { value: llmResult, hit } = await cached(caches.scores, scoreKey, async () => {
+    if (redaction) {
+      await auditRedaction({ task: 'score', resume_name: parsed.resumeName, resume_hash: parsed.hash, masked: redaction.masked });
+    }
+    return scoreResumeWithLLM(promptText, jd.text, jd.rubric, { blind: jd.blind, requirements: jd.requirements });
+  });
+
+  // Evidence must be in what the model was shown (or, outside blind mode, the full parsed text)
+  const requirements = verifyRequirements(jd.requirements, llmResult.requirements,
+    jd.blind ? [promptText] : [promptText, document.normalized]);
+  const coverage = scoreSkillCoverage(document.normalized, jd.skills);
+  const matchScore = finalMatchScore(jd.rubric, llmResult, coverage.keyword_score, jd.blend);
+
+  return {
+    resume_name: parsed.resumeName,
+    resume_hash: parsed.hash,
+    document_type: document.type,
+    ocr_used: Boolean(document.ocr),
+    ocr_confidence: document.ocr?.confidence ?? null,
+    ocr_pages: document.ocr?.pages ?? [],
+    ...parsed.entities,
+    match_score: matchScore,
+    score_band: scoreBandLabel(jd.rubric.bands, matchScore),
+    rubric: rubricSummary(jd.rubric),
+    criteria_scores: llmResult.criteria_scores,
+    must_haves: llmResult.must_haves,
+    unmet_must_haves: llmResult.unmet_must_haves,
+    llm_score: llmResult.match_score,
+    keyword_score: coverage.keyword_score,
+    score_blend: jd.blend,
+    matched_skills: coverage.matched_skills,
+    missing_skills: coverage.missing_skills,
+    missing_nice_to_have: coverage.missing_nice_to_have,
+    requirements,
+    gaps: requirementGaps(requirements),
+    skills_match: llmResult.skills_match,
+    experience_fit: llmResult.experience_fit,
+    seniority_fit: llmResult.seniority_fit,
+    summary: llmResult.summary,
+    validation: llmResult.validation,
+    cached: hit,
+    pii_redacted: redaction ? countMasked(redaction.masked) : null,
+    ...(jd.blind && { blind: true, blind_neutralised: parsed.blindView.neutralised }),
+    text_length: document.normalized.length,
+    text_signature: parsed.signature,
+    sections,
+    scoring_tokens: estimateTokens(promptText),
+    llm_output: llmResult
+  };
+}
+
+// Blind results scored for the fairness report also carry the normal-mode score
+async function scoreForRun(parsed, jd) {
+  const result = await scoreParsedResume(parsed, jd);
+
+  if (jd.fairness) {
+    const normal = await scoreParsedResume(parsed, { ...jd, blind: false });
+    result.normal_score = normal.match_score;
+    result.normal_score_band = normal.score_band;
+  }
+  return result;
+}
+
+async function processResume(resumeFile, jd, emit = () => {}) {
+  return scoreForRun(await parseResume(resumeFile, emit, { index: !jd.blind }), jd);
+}
+
+/* ============================================================
+BATCH MATCHING ENDPOINT
+============================================================ */
+
+// One JD against a batch of resumes, added to the run and saved; shared by
+// /api/batch-match and the CLI. emit receives the endpoint's progress events,
+// and aborting signal stops the batch (results so far are still saved).
+async function runBatch(run, jd, jdContext, resumeFiles, { emit = () => {}, signal, skipped = [] } = {}) {
+  const jdEntry = { name: jd.name, hash: jd.hash, text: jdContext.text, skills: jdContext.skills, requirements: jdContext.requirements, score_blend: jdContext.blend, rubric: jdContext.rubric };
+
+  const counts = { total: resumeFiles.length, completed: 0, scored: 0, failed: 0 };
+  emit({ type: 'start', run_id: run.id, jd_name: jd.name, counts: { ...counts }, skipped });
+
+  const results = [];
+  const stats = createLLMStats();
+
+  // Up to LLM_CONCURRENCY resumes in flight; the scheduler enforces the rate budgets
+  await llmContext.run({ signal, stats }, () => mapConcurrent(resumeFiles, LLM_CONCURRENCY, async (resumeFile, index) => {
+    if (signal?.aborted) return;
+
+    const emitProgress = event => emit({ ...event, index, counts: { ...counts } });
+
+    try {
+      const result = await processResume(resumeFile, jdContext, emitProgress);
+      results.push(result);
+
+      counts.completed++;
+      counts.scored++;
+      emitProgress({ type: 'scored', resume_name: resumeFile.originalname, result });
+
+      console.log(`✓ Processed: ${resumeFile.originalname} (${result.match_score}%)`);
+
+    } catch (err) {
+      if (err.code === 'CANCELLED') return;
+
+      console.error(`❌ Error processing ${resumeFile.originalname}:`, err.message);
+      const result = {
+        ...failedResult(resumeFile.originalname, err),
+        resume_hash: hashBuffer(resumeFile.buffer),
+        ...(jdContext.blind && { blind: true })
+      };
+      results.push(result);
+
+      counts.completed++;
+      counts.failed++;
+      emitProgress({ type: 'failed', resume_name: resumeFile.originalname, error: err.message, result });
+    }
+  }));
+
+  results.forEach(r => { r.jd_name = jd.name; });
+  ensureResultIds(results);
+
+  let llmStats;
+  await updateRun(run.id, latest => {
+    latest.jds.push(jdEntry);
+    llmStats = recordBatchStats(latest, [jd.name], stats);
+    latest.results.push(...results);
+
+    // Duplicates are detected across the whole run, so a later JD's uploads link to earlier ones
+    applyDeduplication(latest.results, latest.chosen_versions);
+    assignAnonymousLabels(latest.results);
+  }, run);
+
+  // RANK by match_score (descending), ties broken by keyword coverage then name; extra versions last
+  results.sort(compareRanked);
+
+  return { results, counts, llmStats };
+}
+
+app.post(
+  '/api/batch-match',
+  upload.fields([
+    { name: 'resumes', maxCount: UPLOAD_MAX_RESUMES },
+    { name: 'jd', maxCount: 1 }
+  ]),
+  expandUploads,
+  async (req, res) => {
+    let stream = null;
+
+    try {
+      const resumeFiles = req.files?.resumes || [];
+
+      if (resumeFiles.length === 0) {
+        return res.status(400).json({ 
+          error: 'Missing resumes' 
+        });
+      }
+
+      // Parse JD once (uploaded file, pasted jd_text or saved jd_id)
+      let jd;
+      try {
+        jd = await resolveJd(req);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Job description: ${err.message}` });
+      }
+
+      let rubric;
+      try {
+        rubric = await resolveRubric(req.body?.rubric_id);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Rubric: ${err.message}` });
+      }
+
+      if (!jd) {
+        return res.status(400).json({ 
+          error: 'Missing JD: upload a jd file or send jd_text' 
+        });
+      }
+
+      const jdContext = buildJdContext(jd, {
+        blend: req.body?.score_blend,
+        rubric,
+        blind: formFlag(req.body?.blind),
+        fairness: formFlag(req.body?.fairness)
+      });
+      const run = await getOrCreateRun(req.body?.run_id);
+
+      stream = createProgressStream(req, res);
+      const { results, counts, llmStats } = await runBatch(run, jd, jdContext, resumeFiles, {
+        emit: stream.emit,
+        signal: stream.signal,
+        skipped: req.skippedEntries || []
+      });
+
+      if (stream.closed) {
+        console.warn(`⚠️ Client disconnected, stopped batch after ${counts.completed}/${counts.total}`);
+      }
+
+      const payload = {
+        run_id: run.id,
+        total: results.length,
+        ranked_results: results,
+        skipped_entries: req.skippedEntries || [],
+        llm_stats: llmStats
+      };
+
+      if (stream.enabled) {
+        stream.emit({ type: 'done', counts: { ...counts }, ...payload });
+        return res.end();
+      }
+
+      res.json(payload);
+
+    } catch (err) {
+      console.error('❌ Batch match error:', err.message);
+
+      if (stream?.enabled) {
+        stream.emit({ type: 'error', error: err.message });
+        return res.end();
+      }
+
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/* ============================================================
+MATRIX MATCHING ENDPOINT (N RESUMES x M JDS)
+============================================================ */
+
+const MATRIX_MAX_JDS = 20;
+
+// Every cell of a candidate's row learns which JD fits them best
+function markBestFit(grid) {
+  for (const row of grid) {
+    const best = row.filter(cell => !cell.error).sort(compareResults)[0];
+    row.forEach(cell => {
+      cell.best_jd = best ? best.jd_name : null;
+      cell.best_score = best ? best.match_score : null;
+    });
+  }
+}
+
+function buildMatrixContexts(jds, options) {
+  return jds.map(jd => ({ name: jd.name, ...buildJdContext(jd, options) }));
+}
+
+// N resumes x M JDs, added to the run and saved; shared by /api/matrix-match and batch jobs.
+// previous holds rows already scored (a resumed job); onRow(row, index) runs as each
+// resume's row completes. A row cut short by the signal is dropped, to be redone.
+async function runMatrix(run, jds, contexts, resumeFiles, { emit = () => {}, signal, skipped = [], previous = [], onRow = () => {} } = {}) {
+  const jdEntries = jds.map((jd, j) => {
+    const ctx = contexts[j];
+    return { name: jd.name, hash: jd.hash, text: ctx.text, skills: ctx.skills, requirements: ctx.requirements, score_blend: ctx.blend, rubric: ctx.rubric };
+  });
+
+  const done = previous.flat();
+  const counts = {
+    total: (previous.length + resumeFiles.length) * jds.length,
+    completed: done.length,
+    scored: done.filter(cell => !cell.error).length,
+    failed: done.filter(cell => cell.error).length
+  };
+  emit({ type: 'start', run_id: run.id, jd_names: contexts.map(c => c.name), counts: { ...counts }, skipped });
+
+  const stats = createLLMStats();
+
+  // Up to LLM_CONCURRENCY resumes in flight, each scored against every JD in turn
+  const rows = await llmContext.run({ signal, stats }, () => mapConcurrent(resumeFiles, LLM_CONCURRENCY, async (resumeFile, index) => {
+    if (signal?.aborted) return null;
+
+    const emitProgress = event => emit({ ...event, index, counts: { ...counts } });
+    const fail = (ctx, jdIndex, err) => {
+      const result = {
+        jd_name: ctx.name,
+        ...failedResult(resumeFile.originalname, err),
+        resume_hash: hashBuffer(resumeFile.buffer),
+        ...(ctx.blind && { blind: true })
+      };
+      counts.completed++;
+      counts.failed++;
+      emitProgress({ type: 'failed', resume_name: resumeFile.originalname, jd_index: jdIndex, jd_name: ctx.name, error: err.message, result });
+      return result;
+    };
+
+    const scoreRow = async () => {
+      let parsed;
+      try {
+        parsed = await parseResume(resumeFile, emitProgress, { index: !contexts.some(ctx => ctx.blind) });
+      } catch (err) {
+        if (err.code === 'CANCELLED') return null;
+        console.error(`❌ Error reading ${resumeFile.originalname}:`, err.message);
+        return contexts.map((ctx, j) => fail(ctx, j, err));
+      }
+
+      const row = [];
+      for (const [jdIndex, ctx] of contexts.entries()) {
+        try {
+          const result = { jd_name: ctx.name, ...(await scoreForRun(parsed, ctx)) };
+          row.push(result);
+
+          counts.completed++;
+          counts.scored++;
+          emitProgress({ type: 'scored', resume_name: resumeFile.originalname, jd_index: jdIndex, jd_name: ctx.name, result });
+
+          console.log(`✓ Processed: ${resumeFile.originalname} x ${ctx.name} (${result.match_score}%)`);
+        } catch (err) {
+          if (err.code === 'CANCELLED') return null;
+          console.error(`❌ Error scoring ${resumeFile.originalname} against ${ctx.name}:`, err.message);
+          row.push(fail(ctx, jdIndex, err));
+        }
+      }
+      return row;
+    };
+
+    const row = await scoreRow();
+    if (row) await onRow(row, index);
+    return row;
+  }));
+
+  // grid[i][j]: resume i scored against JD j
+  const grid = [...previous, ...rows.filter(Boolean)];
+  markBestFit(grid);
+
+  const columns = contexts.map((ctx, j) => grid.map(row => row[j]));
+  ensureResultIds(columns.flat());
+
+  let llmStats;
+  await updateRun(run.id, latest => {
+    latest.jds.push(...jdEntries);
+    llmStats = recordBatchStats(latest, contexts.map(c => c.name), stats);
+    latest.results.push(...columns.flat());
+    applyDeduplication(latest.results, latest.chosen_versions);
+    assignAnonymousLabels(latest.results);
+  }, run);
+
+  // Flat rows ranked per JD, in JD order, like separate batch runs
+  const results = columns.flatMap(column => column.sort(compareRanked));
+
+  return { grid, results, counts, llmStats };
 }
 
+app.post(
+  '/api/matrix-match',
+  upload.fields([
+    { name: 'resumes', maxCount: UPLOAD_MAX_RESUMES },
+    { name: 'jds', maxCount: MATRIX_MAX_JDS }
+  ]),
+  expandUploads,
+  async (req, res) => {
+    let stream = null;
+
+    try {
+      const resumeFiles = req.files?.resumes || [];
+
+      if (resumeFiles.length === 0) {
+        return res.status(400).json({ error: 'Missing resumes' });
+      }
+
+      let jds;
+      try {
+        jds = await resolveJds(req);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Job description: ${err.message}` });
+      }
+
+      if (jds.length === 0) {
+        return res.status(400).json({ error: 'Missing JDs: upload jds files, send jd_text or jd_id' });
+      }
+      if (jds.length > MATRIX_MAX_JDS) {
+        return res.status(400).json({ error: `At most ${MATRIX_MAX_JDS} job descriptions per matrix` });
+      }
+
+      let rubric;
+      try {
+        rubric = await resolveRubric(req.body?.rubric_id);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Rubric: ${err.message}` });
+      }
+
+      const contexts = buildMatrixContexts(jds, {
+        blend: req.body?.score_blend,
+        rubric,
+        blind: formFlag(req.body?.blind),
+        fairness: formFlag(req.body?.fairness)
+      });
+      const run = await getOrCreateRun(req.body?.run_id);
+
+      stream = createProgressStream(req, res);
+      const { grid, results, counts, llmStats } = await runMatrix(run, jds, contexts, resumeFiles, {
+        emit: stream.emit,
+        signal: stream.signal,
+        skipped: req.skippedEntries || []
+      });
+
+      if (stream.closed) {
+        console.warn(`⚠️ Client disconnected, stopped matrix after ${counts.completed}/${counts.total}`);
+      }
+
+      const payload = {
+        run_id: run.id,
+        jds: contexts.map(c => c.name),
+        candidates: grid.map(row => ({
+          resume_name: row[0].resume_name,
+          resume_hash: row[0].resume_hash,
+          candidate_name: row.find(cell => !cell.error)?.candidate_name || row[0].candidate_name,
+          best_jd: row[0].best_jd,
+          best_score: row[0].best_score
+        })),
+        matrix: grid.map(row => row.map(cell => cell.match_score)),
+        results,
+        skipped_entries: req.skippedEntries || [],
+        llm_stats: llmStats
+      };
+
+      if (stream.enabled) {
+        stream.emit({ type: 'done', counts: { ...counts }, ...payload });
+        return res.end();
+      }
+
+      res.json(payload);
+
+    } catch (err) {
+      console.error('❌ Matrix match error:', err.message);
+
+      if (stream?.enabled) {
+        stream.emit({ type: 'error', error: err.message });
+        return res.end();
+      }
+
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 /* ============================================================
-BATCH MATCHING ENDPOINT
+BATCH JOBS (BACKGROUND MATRIX RUNS THAT SURVIVE RESTARTS)
 ============================================================ */
 
+// A job is a matrix run that answers at once and is polled. The uploads and every finished
+// resume's row are kept under data/jobs/, so after a restart the job picks up the resumes
+// still pending. Jobs run one at a time, in the order they were created.
+const jobStore = createJsonStore('jobs');
+const JOB_FINISHED = ['completed', 'cancelled', 'failed'];
+const jobControllers = new Map();
+let jobQueue = Promise.resolve();
+
+const jobFilesDir = id => path.join(jobStore.dir, id);
+
+function jobCounts(job) {
+  const done = job.rows.flat();
+  return {
+    total: job.resumes.length * job.jds.length,
+    completed: done.length,
+    scored: done.filter(cell => !cell.error).length,
+    failed: done.filter(cell => cell.error).length
+  };
+}
+
+function jobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    run_id: job.run_id,
+    jd_names: job.jds.map(jd => jd.name),
+    blind: job.options.blind,
+    counts: jobCounts(job),
+    skipped_entries: job.skipped_entries,
+    error: job.error || null,
+    created_at: job.created_at,
+    started_at: job.started_at || null,
+    finished_at: job.finished_at || null
+  };
+}
+
+function enqueueJob(id) {
+  jobQueue = jobQueue.then(() => runJob(id).catch(err => console.error(`❌ Job ${id} error:`, err.message)));
+}
+
+async function finishJob(job, status, error) {
+  job.status = status;
+  job.finished_at = new Date().toISOString();
+  if (error) job.error = error;
+  await jobStore.save(job);
+  await fs.promises.rm(jobFilesDir(job.id), { recursive: true, force: true });
+}
+
+async function runJob(id) {
+  const job = await jobStore.load(id);
+  if (!job || JOB_FINISHED.includes(job.status)) return;
+
+  const controller = new AbortController();
+  jobControllers.set(id, controller);
+
+  // Rows finish concurrently; saves go out one at a time
+  let saving = Promise.resolve();
+  const persist = () => (saving = saving.then(() => jobStore.save(job)));
+
+  try {
+    const run = (await runStore.load(job.run_id)) || newRun(job.run_id);
+
+    // Stopped after the run was saved but before the job was marked done
+    if (run.results.some(r => r.job_id === job.id)) return await finishJob(job, 'completed');
+
+    job.status = 'running';
+    job.started_at ??= new Date().toISOString();
+    await persist();
+
+    const jds = job.jds.map(jd => ({ name: jd.name, hash: jd.hash, document: { normalized: jd.text } }));
+    const contexts = buildMatrixContexts(jds, { ...job.options, rubric: job.rubric });
+    const pending = job.resumes.filter(resume => !resume.done);
+    const files = await Promise.all(pending.map(async resume => {
+      const buffer = await fs.promises.readFile(path.join(jobFilesDir(id), resume.hash));
+      return { originalname: resume.name, buffer, size: buffer.length };
+    }));
+
+    if (job.rows.length) console.log(`⏯️ Resuming job ${id}: ${pending.length} of ${job.resumes.length} resumes left`);
+
+    await runMatrix(run, jds, contexts, files, {
+      signal: controller.signal,
+      skipped: job.skipped_entries,
+      previous: [...job.rows],
+      onRow: (row, index) => {
+        row.forEach(cell => { cell.job_id = job.id; });
+        pending[index].done = true;
+        job.rows.push(row);
+        return persist();
+      }
+    });
+    await saving;
+
+    // Cancelled jobs keep what was scored; the rest of the run is dropped
+    await finishJob(job, controller.signal.aborted ? 'cancelled' : 'completed');
+    console.log(`✓ Job ${id} ${job.status}: ${jobCounts(job).completed}/${jobCounts(job).total} scored`);
+  } catch (err) {
+    console.error(`❌ Job ${id} failed:`, err.message);
+    await saving.catch(() => {});
+    await finishJob(job, 'failed', err.message);
+  } finally {
+    jobControllers.delete(id);
+  }
+}
+
+// Queues a job for the request's options (score_blend, blind, fairness, run_id)
+async function createJob(req, jds, rubric, resumeFiles) {
+  const existingRun = req.body?.run_id ? await runStore.load(req.body.run_id) : null;
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    created_at: new Date().toISOString(),
+    run_id: existingRun ? existingRun.id : crypto.randomUUID(),
+    jds: jds.map(jd => ({ name: jd.name, hash: jd.hash, text: jd.document.normalized })),
+    rubric,
+    options: {
+      blend: req.body?.score_blend,
+      blind: formFlag(req.body?.blind),
+      fairness: formFlag(req.body?.fairness)
+    },
+    resumes: resumeFiles.map(file => ({ name: file.originalname, hash: hashBuffer(file.buffer), done: false })),
+    skipped_entries: req.skippedEntries || [],
+    rows: []
+  };
+
+  // Stored by content hash; the same file uploaded twice is written once
+  await fs.promises.mkdir(jobFilesDir(job.id), { recursive: true });
+  for (const [i, file] of resumeFiles.entries()) {
+    await fs.promises.writeFile(path.join(jobFilesDir(job.id), job.resumes[i].hash), file.buffer);
+  }
+  await jobStore.save(job);
+
+  enqueueJob(job.id);
+  console.log(`✓ Job ${job.id} queued: ${resumeFiles.length} resumes x ${jds.length} JDs`);
+  return job;
+}
+
+// Jobs interrupted by a restart carry on from their last finished resume
+async function resumeJobs() {
+  const unfinished = (await jobStore.list())
+    .filter(job => !JOB_FINISHED.includes(job.status))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  unfinished.forEach(job => enqueueJob(job.id));
+  if (unfinished.length) console.log(`⏯️ ${unfinished.length} unfinished job(s) queued`);
+}
+
 app.post(
-  '/api/batch-match',
+  '/api/jobs',
   upload.fields([
-    { name: 'resumes', maxCount: 100 },
-    { name: 'jd', maxCount: 1 }
+    { name: 'resumes', maxCount: UPLOAD_MAX_RESUMES },
+    { name: 'jd', maxCount: 1 },
+    { name: 'jds', maxCount: MATRIX_MAX_JDS }
   ]),
+  expandUploads,
   async (req, res) => {
     try {
       const resumeFiles = req.files?.resumes || [];
-      const jdFile = req.files?.jd?.[0];
 
-      if (resumeFiles.length === 0 || !jdFile) {
-        return res.status(400).json({ 
-          error: 'Missing resumes or JD file' 
-        });
+      if (resumeFiles.length === 0) {
+        return res.status(400).json({ error: 'Missing resumes' });
+      }
+
+      let jds;
+      try {
+        jds = await resolveJds(req);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Job description: ${err.message}` });
+      }
+
+      if (jds.length === 0) {
+        return res.status(400).json({ error: 'Missing JDs: upload jd/jds files, send jd_text or jd_id' });
+      }
+      if (jds.length > MATRIX_MAX_JDS) {
+        return res.status(400).json({ error: `At most ${MATRIX_MAX_JDS} job descriptions per job` });
       }
 
-      // Parse JD once
-      const jdText = truncate((await pdfParse(jdFile.buffer)).text);
+      let rubric;
+      try {
+        rubric = await resolveRubric(req.body?.rubric_id);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Rubric: ${err.message}` });
+      }
 
-      // Process all resumes
-      const results = [];
+      const job = await createJob(req, jds, rubric, resumeFiles);
+      res.status(202).json(jobSummary(job));
 
-      for (const resumeFile of resumeFiles) {
-        try {
-          const resumeText = truncate((await pdfParse(resumeFile.buffer)).text);
-          
-          // Extract entities
-          const entities = await extractEntities(resumeText, resumeFile.originalname);
-
-          // Score with LLM
-          const llmResult = await scoreResumeWithLLM(resumeText, jdText);
-
-          results.push({
-            resume_name: resumeFile.originalname,
-            ...entities,
-            match_score: llmResult.match_score,
-            skills_match: llmResult.skills_match,
-            experience_fit: llmResult.experience_fit,
-            seniority_fit: llmResult.seniority_fit,
-            summary: llmResult.summary
-          });
-
-          console.log(`✓ Processed: ${resumeFile.originalname} (${llmResult.match_score}%)`);
+    } catch (err) {
+      console.error('❌ Job create error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get('/api/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: (await jobStore.list()).map(jobSummary) });
+  } catch (err) {
+    console.error('❌ Job list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Results in the order they finished; ?after=N skips the N the client already has
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobStore.load(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const results = job.rows.flat();
+    const after = Math.max(0, parseInt(req.query.after, 10) || 0);
+    res.json({ ...jobSummary(job), results: results.slice(after), results_total: results.length });
+  } catch (err) {
+    console.error('❌ Job load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobStore.load(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (JOB_FINISHED.includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+
+    // A running job stops at its next LLM call and saves what it has
+    const controller = jobControllers.get(job.id);
+    if (controller) {
+      controller.abort();
+      return res.status(202).json({ ...jobSummary(job), status: 'cancelling' });
+    }
+
+    await finishJob(job, 'cancelled');
+    res.json(jobSummary(job));
+  } catch (err) {
+    console.error('❌ Job cancel error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ============================================================
+CANDIDATE POOL (LOCAL SEARCH INDEX OF PROCESSED RESUMES)
+============================================================ */
+
+// Every parsed resume is kept in DATA_DIR/candidates (text, entities and the original
+// file) and indexed with BM25, so past applicants can be searched and re-matched
+// against a new JD. Embeddings are optional and only ever come from a local Ollama.
+const POOL_ENABLED = process.env.POOL_ENABLED !== 'false';
+const POOL_TOP_K = Math.min(BATCH_MAX_RESUMES, Math.max(1, parseInt(process.env.POOL_TOP_K, 10) || 20));
+const POOL_EMBEDDINGS = String(process.env.POOL_EMBEDDINGS || '').toLowerCase() === 'ollama';
+const POOL_EMBEDDING_MODEL = process.env.POOL_EMBEDDING_MODEL || 'nomic-embed-text';
+const POOL_EMBEDDING_URL = (process.env.POOL_EMBEDDING_URL || 'http://localhost:11434').replace(/\/+$/, '');
+// Share of the embedding similarity in the pool score (the rest is BM25)
+const POOL_EMBEDDING_WEIGHT = parseBlend(process.env.POOL_EMBEDDING_WEIGHT, 0.5);
+const POOL_EMBEDDING_CHARS = 8000;
+const POOL_SEARCH_MAX = 100;
+// Candidates not seen for this many days are deleted; 0 keeps them until deleted by hand
+const POOL_RETENTION_DAYS = Math.max(0, parseFloat(process.env.POOL_RETENTION_DAYS) || 0);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Known skills count double, so "Kubernetes" outranks a resume that only says "containers" a lot
+const POOL_SKILL_WEIGHT = 2;
+
+const POOL_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is',
+  'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was',
+  'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+// Words keep inner + # . so "c++", "c#" and "node.js" survive
+const POOL_TOKEN_REGEX = /[\p{L}\p{N}](?:[\p{L}\p{N}+#.]*[\p{L}\p{N}+#])?/gu;
+
+function isLoopbackUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const poolEmbeddingsOn = POOL_EMBEDDINGS && isLoopbackUrl(POOL_EMBEDDING_URL);
+if (POOL_EMBEDDINGS && !poolEmbeddingsOn) {
+  console.warn(`⚠️ POOL_EMBEDDING_URL ${POOL_EMBEDDING_URL} is not local; candidate pool embeddings are off`);
+}
+
+const candidateStore = createJsonStore('candidates', { idPattern: /^[0-9a-f]{64}$/ });
+const poolFile = id => path.join(candidateStore.dir, 'files', id);
 
+// id -> { terms: Map(term -> count), length, vector, summary }; df counts documents per term
+const poolIndex = { docs: new Map(), df: new Map(), totalLength: 0 };
+
+// Saves to the pool one at a time (the same resume can be parsed by two batches at once)
+let poolWrites = Promise.resolve();
+
+// Words, plus a skill:<name> term per known skill so aliases ("k8s") meet canonical names
+function poolTerms(text) {
+  const words = (String(text).toLowerCase().match(POOL_TOKEN_REGEX) || []).filter(word => !POOL_STOPWORDS.has(word));
+  return [...words, ...findSkills(text).map(skill => `skill:${skill.toLowerCase()}`)];
+}
+
+function candidateSummary(doc) {
+  const entities = doc.entities || {};
+  return {
+    id: doc.id,
+    candidate_name: entities.candidate_name,
+    resume_name: doc.resume_name,
+    email: entities.email,
+    phone: entities.phone,
+    location: entities.location ?? null,
+    current_title: entities.current_title ?? null,
+    current_employer: entities.current_employer ?? null,
+    years_experience: entities.years_experience ?? null,
+    highest_degree: entities.highest_degree ?? null,
+    skills: entities.skills || [],
+    document_type: doc.document_type,
+    ocr_used: doc.ocr_used,
+    created_at: doc.created_at,
+    last_seen_at: doc.last_seen_at
+  };
+}
+
+function removeFromIndex(id) {
+  const entry = poolIndex.docs.get(id);
+  if (!entry) return;
+
+  for (const term of entry.terms.keys()) {
+    const count = poolIndex.df.get(term) - 1;
+    if (count) poolIndex.df.set(term, count);
+    else poolIndex.df.delete(term);
+  }
+  poolIndex.totalLength -= entry.length;
+  poolIndex.docs.delete(id);
+}
+
+function addToIndex(doc) {
+  removeFromIndex(doc.id);
+
+  const terms = new Map();
+  for (const term of poolTerms(doc.text)) terms.set(term, (terms.get(term) || 0) + 1);
+  for (const term of terms.keys()) poolIndex.df.set(term, (poolIndex.df.get(term) || 0) + 1);
+
+  const length = [...terms.values()].reduce((sum, count) => sum + count, 0);
+  poolIndex.totalLength += length;
+  poolIndex.docs.set(doc.id, {
+    terms,
+    length,
+    vector: doc.embedding?.model === POOL_EMBEDDING_MODEL ? doc.embedding.vector : null,
+    summary: candidateSummary(doc)
+  });
+}
+
+// Brings the index in line with the files on disk, which the CLI may have added to
+async function syncPoolIndex() {
+  let files;
+  try {
+    files = await fs.promises.readdir(candidateStore.dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    files = [];
+  }
+
+  const ids = new Set(files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)));
+  for (const id of [...poolIndex.docs.keys()]) {
+    if (!ids.has(id)) removeFromIndex(id);
+  }
+  for (const id of ids) {
+    if (poolIndex.docs.has(id)) continue;
+    const doc = await candidateStore.load(id);
+    if (doc) addToIndex(doc);
+  }
+
+  await pruneExpiredCandidates();
+}
+
+async function removeCandidate(id) {
+  if (!(await candidateStore.remove(id))) return false;
+  await fs.promises.rm(poolFile(id), { force: true });
+  removeFromIndex(id);
+  return true;
+}
+
+// Queued behind pool saves, and rechecked on disk, so a resume seen again meanwhile is kept
+async function pruneExpiredCandidates() {
+  if (!POOL_RETENTION_DAYS) return;
+
+  const cutoff = new Date(Date.now() - POOL_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = [...poolIndex.docs].filter(([, entry]) => entry.summary.last_seen_at < cutoff).map(([id]) => id);
+  if (!expired.length) return;
+
+  let removed = 0;
+  const prune = poolWrites.then(async () => {
+    for (const id of expired) {
+      const doc = await candidateStore.load(id);
+      if (doc && doc.last_seen_at < cutoff && await removeCandidate(id)) removed++;
+    }
+  });
+  poolWrites = prune.catch(() => {});
+  await prune;
+
+  if (removed) console.log(`🧹 Candidate pool: removed ${removed} candidate(s) not seen in ${POOL_RETENTION_DAYS} days`);
+}
+
+// Ollama's native embeddings API; only ever called on a loopback address
+async function embedText(text) {
+  const response = await fetch(`${POOL_EMBEDDING_URL}/api/embeddings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: POOL_EMBEDDING_MODEL, prompt: text.slice(0, POOL_EMBEDDING_CHARS) }),
+    signal: AbortSignal.timeout(LLM_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Embedding request failed with status ${response.status}`);
+
+  const { embedding } = await response.json();
+  if (!Array.isArray(embedding) || embedding.length === 0) throw new Error('Embedding response has no vector');
+  return embedding;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Adds a parsed resume to the pool, or refreshes it when the same file comes back.
+// Never fails the batch: problems are logged and the resume is simply not indexed.
+async function indexCandidate(resumeFile, hash, document, entities) {
+  if (!POOL_ENABLED) return;
+
+  const write = poolWrites.then(async () => {
+    const existing = await candidateStore.load(hash);
+    const now = new Date().toISOString();
+    const doc = {
+      ...existing,
+      id: hash,
+      resume_name: resumeFile.originalname,
+      document_type: document.type,
+      ocr_used: Boolean(document.ocr),
+      text: document.normalized,
+      entities,
+      created_at: existing?.created_at || now,
+      last_seen_at: now
+    };
+
+    if (!existing) {
+      await fs.promises.mkdir(path.dirname(poolFile(hash)), { recursive: true });
+      await fs.promises.writeFile(poolFile(hash), resumeFile.buffer);
+    }
+
+    if (poolEmbeddingsOn && doc.embedding?.model !== POOL_EMBEDDING_MODEL) {
+      try {
+        doc.embedding = { model: POOL_EMBEDDING_MODEL, vector: await embedText(doc.text) };
+      } catch (err) {
+        console.warn(`⚠️ Candidate pool: no embedding for ${resumeFile.originalname}:`, err.message);
+      }
+    }
+
+    await candidateStore.save(doc);
+    addToIndex(doc);
+  });
+  poolWrites = write.catch(() => {});
+
+  try {
+    await write;
+  } catch (err) {
+    console.warn(`⚠️ Candidate pool: could not index ${resumeFile.originalname}:`, err.message);
+  }
+}
+
+// BM25 over the pool, blended with embedding similarity when the query and a resume
+// both have a vector. Returns every match, best first, with pool_score 0-100 relative
+// to the best match.
+async function searchPool(query) {
+  await syncPoolIndex();
+
+  const { docs, df } = poolIndex;
+  if (docs.size === 0) return [];
+
+  const averageLength = poolIndex.totalLength / docs.size || 1;
+  const queryTerms = [...new Set(poolTerms(query))].filter(term => df.has(term));
+
+  let queryVector = null;
+  if (poolEmbeddingsOn) {
+    try {
+      queryVector = await embedText(query);
+    } catch (err) {
+      console.warn('⚠️ Candidate pool: query embedding failed, using keywords only:', err.message);
+    }
+  }
+
+  const scored = [...docs].map(([id, entry]) => {
+    let bm25 = 0;
+    for (const term of queryTerms) {
+      const tf = entry.terms.get(term);
+      if (!tf) continue;
+
+      const n = df.get(term);
+      const idf = Math.log(1 + (docs.size - n + 0.5) / (n + 0.5));
+      const weight = term.startsWith('skill:') ? POOL_SKILL_WEIGHT : 1;
+      bm25 += weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / averageLength));
+    }
+
+    const similarity = queryVector && entry.vector ? Math.max(0, cosineSimilarity(queryVector, entry.vector)) : null;
+    return { id, bm25, similarity, summary: entry.summary };
+  });
+
+  const best = Math.max(...scored.map(hit => hit.bm25)) || 1;
+  return scored
+    .map(hit => {
+      const lexical = hit.bm25 / best;
+      const score = hit.similarity === null ? lexical : (1 - POOL_EMBEDDING_WEIGHT) * lexical + POOL_EMBEDDING_WEIGHT * hit.similarity;
+      return { ...hit, pool_score: Math.round(score * 100) };
+    })
+    .filter(hit => hit.pool_score > 0)
+    .sort((a, b) => b.pool_score - a.pool_score || b.bm25 - a.bm25);
+}
+
+// The resume line sharing the most words with the query
+function poolSnippet(text, query) {
+  const wanted = new Set(poolTerms(query).filter(term => !term.startsWith('skill:')));
+  let best = null;
+  let bestHits = 0;
+
+  for (const line of text.split('\n')) {
+    const hits = new Set(poolTerms(line).filter(term => wanted.has(term))).size;
+    if (hits > bestHits) {
+      best = line.trim();
+      bestHits = hits;
+    }
+  }
+  return best && truncate(best, 200);
+}
+
+// ?q= searches text and skills (best first, with pool_score); without it, most recently seen first
+app.get('/api/candidates', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(POOL_SEARCH_MAX, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    if (!query) {
+      await syncPoolIndex();
+      const all = [...poolIndex.docs.values()]
+        .map(entry => entry.summary)
+        .sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at));
+      return res.json({ total: all.length, candidates: all.slice(0, limit) });
+    }
+
+    const hits = await searchPool(query);
+    const candidates = [];
+    for (const hit of hits.slice(0, limit)) {
+      const doc = await candidateStore.load(hit.id);
+      candidates.push({ ...hit.summary, pool_score: hit.pool_score, snippet: doc ? poolSnippet(doc.text, query) : null });
+    }
+    res.json({ total: hits.length, candidates });
+  } catch (err) {
+    console.error('❌ Candidate search error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/candidates/:id', async (req, res) => {
+  try {
+    const doc = await candidateStore.load(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Candidate not found' });
+
+    const { embedding, ...candidate } = doc;
+    res.json({ ...candidate, embedding_model: embedding?.model || null });
+  } catch (err) {
+    console.error('❌ Candidate load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/candidates/:id/file', async (req, res) => {
+  try {
+    const doc = await candidateStore.load(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Candidate not found' });
+
+    res.download(poolFile(doc.id), path.basename(doc.resume_name), err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Original file not found' });
+    });
+  } catch (err) {
+    console.error('❌ Candidate file error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/candidates/:id', async (req, res) => {
+  try {
+    if (!(await removeCandidate(req.params.id))) return res.status(404).json({ error: 'Candidate not found' });
+
+    console.log(`🧹 Removed candidate ${req.params.id} from the pool`);
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    console.error('❌ Candidate delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Shortlists the pool for a JD with the local index, then scores only the top_k
+// through the LLM as an ordinary background job
+app.post(
+  '/api/candidates/match',
+  upload.fields([{ name: 'jd', maxCount: 1 }]),
+  expandUploads,
+  async (req, res) => {
+    try {
+      let jd;
+      try {
+        jd = await resolveJd(req);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Job description: ${err.message}` });
+      }
+      if (!jd) {
+        return res.status(400).json({ error: 'Missing JD: upload a jd file, send jd_text or jd_id' });
+      }
+
+      let rubric;
+      try {
+        rubric = await resolveRubric(req.body?.rubric_id);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Rubric: ${err.message}` });
+      }
+
+      const topK = Math.min(BATCH_MAX_RESUMES, Math.max(1, parseInt(req.body?.top_k, 10) || POOL_TOP_K));
+      const shortlist = [];
+      const resumeFiles = [];
+
+      for (const hit of await searchPool(jd.document.normalized)) {
+        if (resumeFiles.length === topK) break;
+        try {
+          const buffer = await fs.promises.readFile(poolFile(hit.id));
+          resumeFiles.push({ originalname: hit.summary.resume_name, buffer, size: buffer.length });
+          shortlist.push({ id: hit.id, candidate_name: hit.summary.candidate_name, resume_name: hit.summary.resume_name, pool_score: hit.pool_score });
         } catch (err) {
-          console.error(`❌ Error processing ${resumeFile.originalname}:`, err.message);
-          results.push({
-            resume_name: resumeFile.originalname,
-            candidate_name: 'Unknown',
-            match_score: 0,
-            seniority_fit: 'Weak',
-            summary: `Error: ${err.message}`,
-            email: '—',
-            phone: '—',
-            linkedin: '—'
-          });
+          console.warn(`⚠️ Candidate pool: original file of ${hit.summary.resume_name} is missing:`, err.message);
         }
       }
 
-      // RANK by match_score (descending)
-      results.sort((a, b) => b.match_score - a.match_score);
+      if (resumeFiles.length === 0) {
+        return res.status(404).json({ error: 'No candidates in the pool match this job description' });
+      }
 
-      res.json({
-        total: results.length,
-        ranked_results: results
-      });
+      const job = await createJob(req, [jd], rubric, resumeFiles);
+      console.log(`📋 Pool shortlist for ${jd.name}: ${resumeFiles.length} candidates`);
+      res.status(202).json({ ...jobSummary(job), shortlist });
 
     } catch (err) {
-      console.error('❌ Batch match error:', err.message);
+      console.error('❌ Pool match error:', err.message);
       res.status(500).json({ error: err.message });
     }
   }
@@ -496,27 +5355,66 @@ app.post(
     { name: 'resume', maxCount: 1 },
     { name: 'jd', maxCount: 1 }
   ]),
+  expandUploads,
   async (req, res) => {
     try {
       const resumeFile = req.files?.resume?.[0];
-      const jdFile = req.files?.jd?.[0];
 
-      if (!resumeFile || !jdFile) {
-        return res.status(400).json({ error: 'Missing resume or JD file' });
+      let jd;
+      try {
+        jd = await resolveJd(req);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Job description: ${err.message}` });
       }
 
-      let resumeText = truncate((await pdfParse(resumeFile.buffer)).text);
-      let jdText = truncate((await pdfParse(jdFile.buffer)).text);
+      let rubric;
+      try {
+        rubric = await resolveRubric(req.body?.rubric_id);
+      } catch (err) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ error: `Rubric: ${err.message}` });
+      }
 
-      const entities = await extractEntities(resumeText, resumeFile.originalname);
+      if (!resumeFile || !jd) {
+        return res.status(400).json({ error: 'Missing resume or JD (upload a jd file or send jd_text)' });
+      }
 
-      const llmResult = await scoreResumeWithLLM(resumeText, jdText);
+      const parsed = await parseResume(resumeFile);
+      const result = await scoreParsedResume(parsed, buildJdContext(jd, { blend: req.body?.score_blend, rubric }));
 
       res.json({
-        ...entities,
-        match_score: llmResult.match_score,
-        seniority_fit: llmResult.seniority_fit,
-        summary: llmResult.summary
+        candidate_name: result.candidate_name,
+        email: result.email,
+        phone: result.phone,
+        linkedin: result.linkedin,
+        emails: result.emails,
+        phones: result.phones,
+        location: result.location,
+        current_title: result.current_title,
+        current_employer: result.current_employer,
+        years_experience: result.years_experience,
+        highest_degree: result.highest_degree,
+        github: result.github,
+        portfolio: result.portfolio,
+        skills: result.skills,
+        match_score: result.match_score,
+        score_band: result.score_band,
+        rubric: result.rubric,
+        criteria_scores: result.criteria_scores,
+        unmet_must_haves: result.unmet_must_haves,
+        llm_score: result.llm_score,
+        keyword_score: result.keyword_score,
+        matched_skills: result.matched_skills,
+        missing_skills: result.missing_skills,
+        requirements: result.requirements,
+        gaps: result.gaps,
+        seniority_fit: result.seniority_fit,
+        summary: result.summary,
+        validation: result.validation,
+        cached: result.cached,
+        pii_redacted: result.pii_redacted,
+        ocr_used: result.ocr_used,
+        ocr_confidence: result.ocr_confidence,
+        sections: result.sections
       });
 
     } catch (err) {
@@ -526,8 +5424,67 @@ app.post(
   }
 );
 
+/* ============================================================
+UPLOAD ERRORS
+============================================================ */
+
+// Multer stops oversized or surplus files before the route runs
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: err => `A file in "${err.field}" is larger than ${Math.max(UPLOAD_MAX_MB, ZIP_MAX_MB)} MB`,
+  LIMIT_UNEXPECTED_FILE: err => `Too many files in "${err.field}", or an unexpected upload field`
+};
+
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+
+  const message = UPLOAD_ERROR_MESSAGES[err.code]?.(err) || err.message;
+  console.error('❌ Upload rejected:', message);
+  res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message, code: err.code });
+});
+
+/* ============================================================
+EXPORTS (USED BY cli.js AND test/)
+============================================================ */
+
+module.exports = {
+  app,
+  PROVIDER,
+  MODEL,
+  BASE_URL,
+  UPLOAD_EXTENSIONS,
+  ZIP_ARCHIVE_EXTENSIONS,
+  isZipArchive,
+  expandResumeArchives,
+  readZipEntries,
+  jdFromFile,
+  resolveRubric,
+  buildJdContext,
+  parseResume,
+  promptTextFor,
+  buildScorePrompts,
+  estimateTokens,
+  getOrCreateRun,
+  runBatch,
+  buildCsv,
+  buildWorkbook,
+  csvCell,
+  extractPhones,
+  parseLLMJson,
+  validateAgainstSchema,
+  applyDeduplication,
+  indexCandidate,
+  searchPool,
+  closeOcr
+};
+
 /* ============================================================ */
 
-app.listen(PORT, () => {
-  console.log(`\n✅ Server running at http://localhost:${PORT}\n`);
-});
\ No newline at end of file
+// Only serve when started directly; the CLI requires this file for its pipeline
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`\n✅ Server running at http://localhost:${PORT}\n`);
+    resumeJobs().catch(err => console.error('❌ Job resume error:', err.message));
+    // Applies POOL_RETENTION_DAYS now rather than at the first pool search
+    if (POOL_ENABLED) syncPoolIndex().catch(err => console.error('❌ Candidate pool error:', err.message));
+  });
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { applyDeduplication } = require('../server');
+
+// A text signature sharing its first `shared` of 64 slots with every other one
+const signature = (seed, shared = 0) => Array.from({ length: 64 }, (_, i) => (i < shared ? i : seed * 1000 + i));
+
+// Unrelated text unless a test says otherwise
+let seed = 0;
+const result = fields => ({ jd_name: 'Backend', emails: [], phones: [], text_length: 1000, text_signature: signature(++seed), ...fields });
+
+test('the same file uploaded under two names is one candidate, counted once', () => {
+  const results = applyDeduplication([
+    result({ resume_name: 'b.pdf', resume_hash: 'h1', candidate_name: 'Ana Silva' }),
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', candidate_name: 'Ana Silva' })
+  ]);
+
+  assert.equal(results[0].candidate_id, results[1].candidate_id);
+  assert.deepEqual(results.map(r => r.counted), [false, true]);
+  assert.equal(results[0].duplicate_of, 'a.pdf');
+  assert.equal(results[1].duplicate_of, null);
+  assert.ok(results[0].duplicate_group.reasons.includes('identical file'));
+  assert.equal(results[0].duplicate_group.versions.length, 2);
+});
+
+test('contact details link different files, and the longest document counts', () => {
+  const results = applyDeduplication([
+    result({ resume_name: 'cv.pdf', resume_hash: 'h1', emails: ['Ana@Example.com'], text_length: 800 }),
+    result({ resume_name: 'cv-2024.docx', resume_hash: 'h2', emails: ['ana@example.com'], text_length: 1200 }),
+    result({ resume_name: 'other.pdf', resume_hash: 'h3', phones: ['+44 7700 900123'] }),
+    result({ resume_name: 'other-local.pdf', resume_hash: 'h4', phones: ['07700 900123'] })
+  ]);
+
+  assert.equal(results[0].candidate_id, results[1].candidate_id);
+  assert.deepEqual(results[0].duplicate_group.reasons, ['same email']);
+  assert.equal(results[0].duplicate_of, 'cv-2024.docx');
+  assert.equal(results[1].counted, true);
+
+  assert.equal(results[2].candidate_id, results[3].candidate_id);
+  assert.deepEqual(results[2].duplicate_group.reasons, ['same phone']);
+  assert.notEqual(results[0].candidate_id, results[2].candidate_id);
+});
+
+test('a chosen version counts instead of the longest one', () => {
+  const results = applyDeduplication([
+    result({ resume_name: 'short.pdf', resume_hash: 'h1', linkedin: 'https://linkedin.com/in/ana', text_length: 500 }),
+    result({ resume_name: 'long.pdf', resume_hash: 'h2', linkedin: 'linkedin.com/in/ANA/', text_length: 5000 })
+  ], ['h1:short.pdf']);
+
+  assert.deepEqual(results.map(r => r.counted), [true, false]);
+  assert.deepEqual(results[0].duplicate_group.reasons, ['same LinkedIn']);
+});
+
+test('a shared name needs some shared text to count as the same person', () => {
+  const unrelated = applyDeduplication([
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', candidate_name: 'Maria Garcia', text_signature: signature(1) }),
+    result({ resume_name: 'b.pdf', resume_hash: 'h2', candidate_name: 'Maria Garcia Lopez', text_signature: signature(2, 10) })
+  ]);
+  assert.notEqual(unrelated[0].candidate_id, unrelated[1].candidate_id);
+  assert.equal(unrelated[0].duplicate_group, null);
+
+  const related = applyDeduplication([
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', candidate_name: 'Maria Garcia', text_signature: signature(1, 32) }),
+    result({ resume_name: 'b.pdf', resume_hash: 'h2', candidate_name: 'Maria Garcia Lopez', text_signature: signature(2, 32) })
+  ]);
+  assert.equal(related[0].candidate_id, related[1].candidate_id);
+  assert.deepEqual(related[0].duplicate_group.reasons, ['same name, 50% similar text']);
+});
+
+test('near-identical text is a duplicate without any other match', () => {
+  const results = applyDeduplication([
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', text_signature: signature(1, 60) }),
+    result({ resume_name: 'b.pdf', resume_hash: 'h2', text_signature: signature(2, 60) })
+  ]);
+  assert.deepEqual(results[0].duplicate_group.reasons, ['94% similar text']);
+});
+
+test('one file scored against several JDs is a single version', () => {
+  const results = applyDeduplication([
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', jd_name: 'Backend' }),
+    result({ resume_name: 'a.pdf', resume_hash: 'h1', jd_name: 'Frontend' })
+  ]);
+
+  assert.deepEqual(results.map(r => r.counted), [true, true]);
+  assert.equal(results[0].candidate_id, results[1].candidate_id);
+  assert.equal(results[0].duplicate_group, null);
+});
@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { csvCell } = require('../server');
+
+test('csvCell neutralises cells that start like a formula', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(csvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(csvCell('+cmd'), "'+cmd");
+  assert.equal(csvCell('\tx'), "'\tx");
+});
+
+test('csvCell neutralises DDE payloads that start with a number', () => {
+  assert.equal(csvCell('-2+3+cmd|\' /C calc\'!A0'), "'-2+3+cmd|' /C calc'!A0");
+  assert.equal(csvCell('+41 79 123 45 67'), "'+41 79 123 45 67");
+});
+
+test('csvCell leaves plain numbers and E.164 phone lists alone', () => {
+  assert.equal(csvCell('-12.5'), '-12.5');
+  assert.equal(csvCell(42), '42');
+  assert.equal(csvCell('+41791234567'), '+41791234567');
+  assert.equal(csvCell('+41791234567, +4930123456'), '"+41791234567, +4930123456"');
+});
+
+test('csvCell quotes commas, quotes and line breaks', () => {
+  assert.equal(csvCell('Python, Django'), '"Python, Django"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('a\nb'), '"a\nb"');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+});
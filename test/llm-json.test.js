@@ -0,0 +1,80 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { parseLLMJson, validateAgainstSchema } = require('../server');
+
+const SCHEMA = {
+  match_score: { type: 'integer', min: 0, max: 100, required: true },
+  skills_match: { type: 'percent', required: true },
+  seniority_fit: { type: 'enum', values: ['Strong', 'Partial', 'Weak'], required: true },
+  remote: { type: 'boolean' },
+  summary: { type: 'string', minLength: 1, maxLength: 20, required: true },
+  criteria: { type: 'array', length: 2, items: { type: 'integer', min: 0, max: 10 } },
+  contact: { type: 'object', properties: { email: { type: 'string', required: true } } }
+};
+
+test('parseLLMJson reads clean JSON inside prose and code fences', () => {
+  const { value, repaired } = parseLLMJson('Here you go:\n```json\n{"match_score": 80, "note": "a {b}"}\n```');
+  assert.deepEqual(value, { match_score: 80, note: 'a {b}' });
+  assert.equal(repaired, false);
+});
+
+test('parseLLMJson repairs smart quotes, bare keys, single quotes and trailing commas', () => {
+  const { value, repaired } = parseLLMJson("{match_score: 72, “summary”: 'Good fit', skills: ['Go', 'SQL',],}");
+  assert.deepEqual(value, { match_score: 72, summary: 'Good fit', skills: ['Go', 'SQL'] });
+  assert.equal(repaired, true);
+});
+
+test('parseLLMJson closes a reply cut off mid-object', () => {
+  const { value } = parseLLMJson('{"match_score": 65, "contact": {"email": "a@b.c"');
+  assert.deepEqual(value, { match_score: 65, contact: { email: 'a@b.c' } });
+});
+
+test('parseLLMJson throws when there is no JSON object', () => {
+  assert.throws(() => parseLLMJson('I cannot score this resume.'), /did not return valid JSON/);
+  assert.throws(() => parseLLMJson('{"a": [1, 2}'), /malformed JSON/);
+});
+
+test('validateAgainstSchema accepts a valid object unchanged', () => {
+  const raw = { match_score: 80, skills_match: '75%', seniority_fit: 'Strong', remote: true, summary: 'Solid', criteria: [7, 9], contact: { email: 'a@b.c' } };
+  const { value, errors, coerced } = validateAgainstSchema(raw, SCHEMA);
+  assert.deepEqual(errors, []);
+  assert.equal(coerced, false);
+  assert.deepEqual(value, raw);
+});
+
+test('validateAgainstSchema coerces near-misses and records that it did', () => {
+  const raw = { match_score: '79.6%', skills_match: 75, seniority_fit: 'strong', remote: 'yes', summary: '  A long summary that runs over  ', criteria: ['7', 9] };
+  const { value, errors, coerced } = validateAgainstSchema(raw, SCHEMA);
+  assert.deepEqual(errors, []);
+  assert.equal(coerced, true);
+  assert.deepEqual(value, { match_score: 80, skills_match: '75%', seniority_fit: 'Strong', remote: true, summary: 'A long summary that ', criteria: [7, 9] });
+});
+
+test('validateAgainstSchema lists every error, including nested ones', () => {
+  const raw = { match_score: 140, skills_match: 'lots', seniority_fit: 'Excellent', remote: 'maybe', summary: ' ', criteria: [1, 2, 3], contact: {} };
+  const { errors } = validateAgainstSchema(raw, SCHEMA);
+  assert.deepEqual(errors, [
+    'match_score must be between 0 and 100',
+    'skills_match must be a percentage between 0% and 100%',
+    'seniority_fit must be one of Strong/Partial/Weak',
+    'remote must be true or false',
+    'summary must not be empty',
+    'criteria must be an array of 2 integer values',
+    'contact.email is required'
+  ]);
+});
+
+test('validateAgainstSchema reports missing required fields and skips optional ones', () => {
+  const { value, errors } = validateAgainstSchema({}, SCHEMA);
+  assert.deepEqual(errors, ['match_score is required', 'skills_match is required', 'seniority_fit is required', 'summary is required']);
+  assert.deepEqual(value, {});
+});
@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// No PHONE_DEFAULT_REGION; empty rather than deleted, so a local .env cannot set one
+process.env.PHONE_DEFAULT_REGION = '';
+
+const { extractPhones } = require('../server');
+
+// The first lines stand in for the contact block
+const phones = (text, options) => extractPhones(text, text.split('\n').slice(0, 3), options);
+
+test('a local number with no country anywhere is kept as the digits written', () => {
+  assert.deepEqual(phones('Jane Doe\n030 1234 5678'), ['03012345678']);
+  assert.deepEqual(phones('Jane Doe\n(415) 555-0134'), ['4155550134']);
+});
+
+test('the location gives local numbers their country', () => {
+  assert.deepEqual(phones('Jane Doe\n030 1234 5678', { location: 'Berlin, Germany' }), ['+493012345678']);
+  assert.deepEqual(phones('Jane Doe\n(415) 555-0134', { location: 'Austin, TX' }), ['+14155550134']);
+});
+
+test("the candidate's own international number gives local numbers their country", () => {
+  assert.deepEqual(phones('Jane Doe\n+49 30 1234567\n030 7654321'), ['+49301234567', '+49307654321']);
+});
+
+test('international numbers come out as E.164, with + or 00', () => {
+  assert.deepEqual(phones('Jane Doe\nTel: +41 79 123 45 67 / +1 415 555 0134'), ['+41791234567', '+14155550134']);
+  assert.deepEqual(phones('Jane Doe\nPhone: 0044 20 7946 0958'), ['+442079460958']);
+});
+
+test('local-looking numbers outside the contact block need a label', () => {
+  const text = 'Jane Doe\njane@example.com\nBerlin\n\nExperience\nTicket 030 1234 5678 closed\nMobile: 0170 1234567';
+  assert.deepEqual(phones(text), ['01701234567']);
+});
+
+test('date ranges are not read as phone numbers', () => {
+  assert.deepEqual(phones('Jane Doe\nAcme 01/2015 – 02/2019\nPhone: 0044 20 7946 0958'), ['+442079460958']);
+  assert.deepEqual(phones('Jane Doe\n2015-2019 2019-2023'), []);
+});
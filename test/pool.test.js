@@ -0,0 +1,63 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Keyword search only, whatever a local .env says
+process.env.POOL_ENABLED = 'true';
+process.env.POOL_EMBEDDINGS = '';
+
+const { indexCandidate, searchPool } = require('../server');
+
+const RESUMES = {
+  'platform.txt': 'Platform engineer. Runs Kubernetes clusters on AWS and writes Go services. Terraform for infrastructure.',
+  'backend.txt': 'Backend developer. Python and Django REST APIs on AWS, PostgreSQL, some Docker containers.',
+  'designer.txt': 'Graphic designer. Brand identity, typography and print layouts in Figma and InDesign.'
+};
+const hashes = {};
+
+async function add(name, text) {
+  const buffer = Buffer.from(text);
+  hashes[name] = crypto.createHash('sha256').update(buffer).digest('hex');
+  await indexCandidate({ originalname: name, buffer }, hashes[name],
+    { type: 'txt', ocr: null, normalized: text }, { candidate_name: name.replace('.txt', ''), skills: [] });
+}
+
+test('an empty pool finds nothing', async () => {
+  assert.deepEqual(await searchPool('kubernetes'), []);
+});
+
+test('searchPool ranks the best match first and leaves out resumes that share no term', async () => {
+  for (const [name, text] of Object.entries(RESUMES)) await add(name, text);
+
+  const hits = await searchPool('Go developer for Kubernetes on AWS');
+  assert.deepEqual(hits.map(hit => hit.summary.resume_name), ['platform.txt', 'backend.txt']);
+  assert.equal(hits[0].pool_score, 100);
+  assert.ok(hits[1].pool_score > 0 && hits[1].pool_score < 100);
+  assert.equal(hits[0].id, hashes['platform.txt']);
+});
+
+test('skill aliases find resumes written with the canonical name', async () => {
+  const hits = await searchPool('k8s');
+  assert.deepEqual(hits.map(hit => hit.summary.resume_name), ['platform.txt']);
+});
+
+test('the same file indexed again is refreshed, not added twice', async () => {
+  await add('platform-renamed.txt', RESUMES['platform.txt']);
+
+  const hits = await searchPool('kubernetes');
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].summary.resume_name, 'platform-renamed.txt');
+});
+
+test('candidates removed from disk drop out of the index', async () => {
+  fs.rmSync(path.join(process.env.DATA_DIR, 'candidates', `${hashes['backend.txt']}.json`));
+  assert.deepEqual((await searchPool('django')), []);
+});
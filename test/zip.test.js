@@ -0,0 +1,124 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Offline provider and a throwaway data folder, set before server.js reads them
+process.env.LLM_PROVIDER = 'mock';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-matcher-test-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { readZipEntries, expandResumeArchives } = require('../server');
+
+// Minimal ZIP writer; size overrides the declared uncompressed size to fake a lying archive
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, method = 8, size = data.length } of entries) {
+    const body = method === 8 ? zlib.deflateRawSync(data) : data;
+    const fileName = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, body);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const cv = text => Buffer.from(`${text}\nSenior engineer with Python and Django experience.\n`);
+const archive = (entries, name = 'batch.zip') => ({ originalname: name, buffer: buildZip(entries) });
+
+test('readZipEntries lists names, sizes and methods from the central directory', () => {
+  const entries = readZipEntries(buildZip([
+    { name: 'cvs/anna.txt', data: cv('Anna') },
+    { name: 'jose.txt', data: cv('José'), method: 0 }
+  ]));
+
+  assert.deepEqual(entries.map(e => [e.name, e.method, e.size, e.encrypted]), [
+    ['cvs/anna.txt', 8, cv('Anna').length, false],
+    ['jose.txt', 0, cv('José').length, false]
+  ]);
+});
+
+test('readZipEntries rejects data that is not a ZIP archive', () => {
+  assert.throws(() => readZipEntries(Buffer.from('not a zip at all, just some text that is long enough')), { code: 'ZIP_INVALID' });
+});
+
+test('expandResumeArchives swaps an archive for its documents, named by archive path', () => {
+  const plain = { originalname: 'solo.txt', buffer: cv('Solo') };
+  const { files, skipped } = expandResumeArchives([plain, archive([
+    { name: 'cvs/anna.txt', data: cv('Anna') },
+    { name: 'jose.txt', data: cv('José'), method: 0 }
+  ])]);
+
+  assert.deepEqual(files.map(f => f.originalname), ['solo.txt', 'batch.zip/cvs/anna.txt', 'batch.zip/jose.txt']);
+  assert.deepEqual(files[1].buffer, cv('Anna'));
+  assert.equal(files[1].archive, 'batch.zip');
+  assert.deepEqual(skipped, []);
+});
+
+test('expandResumeArchives skips traversal paths, nested archives and clutter', () => {
+  const { files, skipped } = expandResumeArchives([archive([
+    { name: '../../etc/evil.txt', data: cv('Evil') },
+    { name: '/abs/evil.txt', data: cv('Evil') },
+    { name: 'C:/evil.txt', data: cv('Evil') },
+    { name: 'inner.zip', data: cv('Zip') },
+    { name: 'notes.exe', data: cv('Exe') },
+    { name: '__MACOSX/._anna.txt', data: cv('Meta') },
+    { name: 'anna.txt', data: cv('Anna') }
+  ])]);
+
+  assert.deepEqual(files.map(f => f.originalname), ['batch.zip/anna.txt']);
+  assert.deepEqual(skipped.map(s => [s.path, s.reason]), [
+    ['../../etc/evil.txt', 'unsafe path'],
+    ['/abs/evil.txt', 'unsafe path'],
+    ['C:/evil.txt', 'unsafe path'],
+    ['inner.zip', 'nested archive'],
+    ['notes.exe', 'not a document']
+  ]);
+});
+
+test('expandResumeArchives rejects an entry that compresses like a zip bomb', () => {
+  const bomb = archive([{ name: 'bomb.txt', data: Buffer.alloc(4 * 1024 * 1024, 0x20) }]);
+  assert.throws(() => expandResumeArchives([bomb]), { code: 'ZIP_REJECTED', message: /zip bomb/ });
+});
+
+test('expandResumeArchives stops inflating at the declared size', () => {
+  // Random bytes barely compress, so the ratio check does not fire first
+  const lying = archive([{ name: 'anna.txt', data: crypto.randomBytes(20000), size: 5000 }]);
+  assert.throws(() => expandResumeArchives([lying]), { code: 'ZIP_REJECTED', message: /expands past its declared size/ });
+});